@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+const Compiler = require('../index.js');
+const Path = require('path');
+const FileSystem = require('fs');
+const USAGE = `Usage: application-compiler <command> <entry> [options] [-- app arguments]
+
+Commands:
+  build <entry>             Compiles entry file once without watching files
+  dev <entry>               Compiles and runs entry file, restarting it on changes
+  graph <entry>             Prints the include tree of entry file
+
+Options:
+  -o, --output <file>       Path of the compiled output file
+  --format <json|dot>       Format of the graph command output, defaults to json
+  --include-tag <tag>       Name of include method used during compilation
+  --include-once            Makes plain include calls behave like include_once
+  -D, --define <key=value>  Defines a compile-time constant, values are parsed as JSON when possible
+  --bundle                  Inlines required local files and packages into the compiled output
+  --external <name>         Leaves require() calls of a package untouched when bundling
+  --production              Strips boundary comments, indentation and empty lines from output
+  --strip-comments          Strips comments from production output
+  --no-source-map           Disables writing of the source map file
+  --no-relative-errors      Disables relative error traces for syntax errors
+  --watch-mode <mode>       Watches files with native, poll or auto watchers, defaults to native
+  --poll-interval <ms>      Interval of polling watchers in milliseconds, defaults to 1000
+  --poll-method <method>    Compares polled files by mtime or content hash, defaults to mtime
+  --settle-delay <ms>       Coalesces changes within this window into one compile, defaults to 100
+  -h, --help                Displays this usage information`;
+
+/**
+ * Parses a key=value define argument with its value parsed as JSON when possible.
+ *
+ * @param {String} argument
+ * @returns {Array} Array -> [key, value]
+ */
+function parse_define(argument) {
+    let index = argument.indexOf('=');
+    if (index == -1) return [argument, true];
+
+    let key = argument.substr(0, index);
+    let value = argument.substr(index + 1);
+    try {
+        return [key, JSON.parse(value)];
+    } catch (error) {
+        return [key, value];
+    }
+}
+
+/**
+ * Parses a millisecond argument and exits with a usage error if it is not a finite Number.
+ *
+ * @param {String} flag
+ * @param {String} argument
+ * @param {Boolean} positive Whether zero is rejected as well
+ * @returns {Number} Number
+ */
+function parse_milliseconds(flag, argument, positive = true) {
+    let value = Number(argument);
+    if (
+        argument === undefined ||
+        argument.trim() === '' ||
+        !Number.isFinite(value) ||
+        value < 0 ||
+        (positive && value == 0)
+    )
+        fail(
+            `${flag} requires a ${
+                positive ? 'positive' : 'non-negative'
+            } Number of milliseconds`
+        );
+    return value;
+}
+
+/**
+ * Parses command line arguments into a command, positional entries and options.
+ *
+ * @param {Array} args
+ * @returns {Object} Object
+ */
+function parse_arguments(args) {
+    let result = {
+        command: args[0],
+        entries: [],
+        options: {},
+        args: [],
+    };
+
+    for (let i = 1; i < args.length; i++) {
+        let current = args[i];
+        if (current == '--') {
+            // Pass all remaining arguments to the compiled application
+            result.args = args.slice(i + 1);
+            break;
+        } else if (current == '-o' || current == '--output') {
+            result.options.output = args[++i];
+        } else if (current == '--format') {
+            result.options.format = args[++i];
+        } else if (current == '--include-tag') {
+            result.options.include_tag = args[++i];
+        } else if (current == '--include-once') {
+            result.options.include_once = true;
+        } else if (current == '-D' || current == '--define') {
+            let [key, value] = parse_define(args[++i] || '');
+            result.options.defines = result.options.defines || {};
+            result.options.defines[key] = value;
+        } else if (current == '--bundle') {
+            result.options.bundle = true;
+        } else if (current == '--external') {
+            result.options.externals = result.options.externals || [];
+            result.options.externals.push(args[++i]);
+        } else if (current == '--production') {
+            result.options.profile = 'production';
+        } else if (current == '--strip-comments') {
+            result.options.strip_comments = true;
+        } else if (current == '--no-source-map') {
+            result.options.source_map = false;
+        } else if (current == '--no-relative-errors') {
+            result.options.relative_errors = false;
+        } else if (current == '--watch-mode') {
+            result.options.watch_mode = args[++i];
+        } else if (current == '--poll-interval') {
+            result.options.poll_interval = parse_milliseconds(
+                current,
+                args[++i]
+            );
+        } else if (current == '--poll-method') {
+            result.options.poll_method = args[++i];
+        } else if (current == '--settle-delay') {
+            result.options.settle_delay = parse_milliseconds(
+                current,
+                args[++i],
+                false
+            );
+        } else if (current == '-h' || current == '--help') {
+            result.command = 'help';
+        } else {
+            result.entries.push(current);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Prints provided message to stderr and exits with a non-zero code.
+ *
+ * @param {String|Error} error
+ */
+function fail(error) {
+    console.error(error instanceof Error ? error.message : error);
+    process.exit(1);
+}
+
+/**
+ * Returns output path from options or the default compiled file path for entry.
+ *
+ * @param {String} entry
+ * @param {Object} options
+ * @returns {String} String
+ */
+function output_path(entry, options) {
+    if (typeof options.output == 'string') return options.output;
+    return './compiled_' + entry.split('\\').join('/').split('/').pop();
+}
+
+/**
+ * Performs a one-shot build of the entry file.
+ *
+ * @param {String} entry
+ * @param {Object} options
+ */
+async function build(entry, options) {
+    let output = output_path(entry, options);
+
+    try {
+        const result = await Compiler.build({
+            file_path: entry,
+            output: output,
+            include_tag: options.include_tag,
+            include_once: options.include_once,
+            defines: options.defines,
+            bundle: options.bundle,
+            externals: options.externals,
+            relative_errors: options.relative_errors,
+            source_map: options.source_map,
+            profile: options.profile,
+            strip_comments: options.strip_comments,
+        });
+        console.log(`Compiled ${entry} -> ${result.path}`);
+    } catch (error) {
+        fail(error);
+    }
+}
+
+/**
+ * Compiles the entry file with hot reloading and supervises the compiled application.
+ *
+ * @param {String} entry
+ * @param {Object} options
+ * @param {Array} args
+ */
+function dev(entry, options, args) {
+    let output = output_path(entry, options);
+    const compiler = new Compiler({
+        file_path: entry,
+        include_tag: options.include_tag,
+        include_once: options.include_once,
+        defines: options.defines,
+        bundle: options.bundle,
+        externals: options.externals,
+        watch_mode: options.watch_mode,
+        poll_interval: options.poll_interval,
+        poll_method: options.poll_method,
+        settle_delay: options.settle_delay,
+    });
+
+    compiler.set_logger((message) => console.log(`[COMPILER] ${message}`));
+    compiler.set_error_handler((path, error) =>
+        console.error(`[COMPILER] ERROR @ ${path}\n`, error)
+    );
+
+    // Ensure output directory exists as write_to() does not create directories
+    FileSystem.mkdirSync(Path.dirname(output), { recursive: true });
+    compiler.write_to({
+        path: Path.dirname(output),
+        file_name: Path.basename(output),
+        relative_errors: options.relative_errors,
+        // Output must run without resolving application-compiler such as with global installs
+        runtime_relative_errors: false,
+        source_map: options.source_map,
+        profile: options.profile,
+        strip_comments: options.strip_comments,
+    });
+
+    // Stack traces of the running application point at included files through the written source map
+    const runner = compiler.run({
+        args,
+        node_args: options.source_map === false ? [] : ['--enable-source-maps'],
+    });
+
+    // Stop the compiled application before exiting on termination signals
+    let stopping = false;
+    const shutdown = () => {
+        if (stopping) return;
+        stopping = true;
+        compiler.destroy();
+        runner.stop().then(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Prints the include tree of the entry file in the specified format.
+ * Errors such as missing includes are reported to stderr without preventing the graph output.
+ *
+ * @param {String} entry
+ * @param {Object} options
+ */
+async function graph(entry, options) {
+    let format = options.format || 'json';
+    if (format !== 'json' && format !== 'dot')
+        fail(`Unknown graph format ${format}, expected json or dot`);
+
+    const compiler = new Compiler({
+        file_path: entry,
+        include_tag: options.include_tag,
+        include_once: options.include_once,
+        defines: options.defines,
+        watch: false,
+    });
+
+    compiler.set_error_handler((path, error) =>
+        console.error(`ERROR @ ${path} -> ${error.message}`)
+    );
+
+    await compiler.ready();
+    try {
+        console.log(compiler.graph(format));
+    } finally {
+        compiler.destroy();
+    }
+}
+
+const { command, entries, options, args } = parse_arguments(
+    process.argv.slice(2)
+);
+if (command == undefined || command == 'help') {
+    console.log(USAGE);
+} else if (entries.length == 0) {
+    fail(`${command} requires an entry file\n\n${USAGE}`);
+} else if (command == 'build') {
+    build(entries[0], options);
+} else if (command == 'dev') {
+    dev(entries[0], options, args);
+} else if (command == 'graph') {
+    graph(entries[0], options).catch(fail);
+} else {
+    fail(`Unknown command ${command}\n\n${USAGE}`);
+}
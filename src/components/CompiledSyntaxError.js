@@ -0,0 +1,34 @@
+class CompiledSyntaxError extends Error {
+    #diagnostic;
+
+    /**
+     * Represents a syntax error in compiled output which was detected before the output was written.
+     *
+     * @param {Object} diagnostic { message, line, column, original: { path, line } OR null }
+     * @param {String} trace Error trace with the compiled position or the original position when relativized
+     */
+    constructor(diagnostic, trace) {
+        super(trace);
+        this.name = 'CompiledSyntaxError';
+        this.#diagnostic = diagnostic;
+    }
+
+    /* CompiledSyntaxError Getters */
+    get diagnostic() {
+        return this.#diagnostic;
+    }
+
+    get line() {
+        return this.#diagnostic.line;
+    }
+
+    get column() {
+        return this.#diagnostic.column;
+    }
+
+    get original() {
+        return this.#diagnostic.original;
+    }
+}
+
+module.exports = CompiledSyntaxError;
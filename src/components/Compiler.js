@@ -1,31 +1,74 @@
+const VM = require('vm');
 const Path = require('path');
+const Module = require('module');
 const FileSystem = require('fs');
 const NestedLiveFile = require('./NestedLiveFile.js');
+const LiveFileStore = require('./LiveFileStore.js');
 const WatcherPool = require('./WatcherPool.js');
-const { exec } = require('child_process');
+const ProcessRunner = require('./ProcessRunner.js');
+const SourceMap = require('./SourceMap.js');
+const FileReader = require('./FileReader.js');
+const IncludeCycleError = require('./IncludeCycleError.js');
+const CompiledSyntaxError = require('./CompiledSyntaxError.js');
+const { line_map } = require('../shared/transforms.js');
+const { resolve_loaders } = require('../shared/loaders.js');
+const ModuleRegistry = require('./ModuleRegistry.js');
+const { strip_comments, literal_lines } = require('../shared/tokenizer.js');
+const MARKER_REGEX = /^\s*\/\/_ .* _\/\/$/;
+const PROFILES = ['development', 'production'];
+const EVENTS = ['change', 'compile', 'write', 'error', 'syntax_error'];
+
+// Maximum number of settle delays a burst of changes can postpone its compilation by
+const MAX_SETTLE_DELAYS = 10;
 const {
     path_to_chunks,
     chunks_to_path,
     repeat_character,
+    normalize_path,
 } = require('../shared/operators.js');
 
 class Compiler {
-    #root_file;
+    // Expose error classes so consumers can use instanceof checks
+    static IncludeCycleError = IncludeCycleError;
+    static CompiledSyntaxError = CompiledSyntaxError;
+
+    #entries = {};
+    #primary;
     #watcher_pool;
+    #modules;
+    #reader = new FileReader();
+    #files = new LiveFileStore();
+    #stringified = new WeakMap();
     #watcher_delay = 250;
+    #settle_delay = 100;
     #tags = {
         inline_include: 'include',
+        scoped_include: 'include_scoped',
+        once_include: 'include_once',
+        text_include: 'include_text',
+        json_include: 'include_json',
+        base64_include: 'include_base64',
+    };
+    #options = {
+        defines: {},
+        include_once: false,
+        bundle: false,
+        externals: [],
+        transforms: [],
+        loaders: resolve_loaders(),
+        watch_mode: 'native',
+        poll_interval: 1000,
+        poll_method: 'mtime',
+    };
+
+    #hooks = {
+        before_write: (compiled, context) => compiled,
+        after_write: (compiled, context) => {},
     };
 
-    #write_to = {
-        initial_write: false,
-        path: null,
-        file_name: null,
-        last_write: 0,
-        write_delay: 250,
-        pending: false,
-        relative_errors: true,
-        runtime_relative_errors: true,
+    #promises = {
+        ready: [],
+        compile: [],
     };
 
     #methods = {
@@ -34,10 +77,36 @@ class Compiler {
         error: (path, error) => {},
     };
 
+    #listeners = {
+        change: [],
+        compile: [],
+        write: [],
+        error: [],
+        syntax_error: [],
+    };
+
     constructor({
         file_path,
         watcher_delay = 250,
+        settle_delay = 100,
         include_tag = 'include',
+        scoped_include_tag = 'include_scoped',
+        once_include_tag = 'include_once',
+        text_include_tag = 'include_text',
+        json_include_tag = 'include_json',
+        base64_include_tag = 'include_base64',
+        include_once = false,
+        watch = true,
+        watch_mode = 'native',
+        poll_interval = 1000,
+        poll_method = 'mtime',
+        defines = {},
+        bundle = false,
+        externals = [],
+        transforms = [],
+        loaders = {},
+        before_write,
+        after_write,
         __proto_instance,
     }) {
         // Do not treat current instance as a compiler instance if it is a prototype instance
@@ -47,37 +116,179 @@ class Compiler {
         this._parse_options({
             file_path,
             watcher_delay,
+            settle_delay,
             include_tag,
+            scoped_include_tag,
+            once_include_tag,
+            text_include_tag,
+            json_include_tag,
+            base64_include_tag,
+            include_once,
+            watch,
+            watch_mode,
+            poll_interval,
+            poll_method,
+            defines,
+            bundle,
+            externals,
+            transforms,
+            loaders,
+            before_write,
+            after_write,
         });
 
-        // Create Watcher Pool
-        this.#watcher_pool = new WatcherPool(this.#watcher_delay);
-
-        // Bind error handler to watcher pool
-        this.#watcher_pool.handle('error', (path, error) =>
-            this.#methods.error(path, error)
-        );
+        // Create Watcher Pool and bind its error handler if files should be watched
+        if (watch) {
+            this.#watcher_pool = new WatcherPool(
+                this.#watcher_delay,
+                undefined,
+                {
+                    watch_mode: this.#options.watch_mode,
+                    poll_interval: this.#options.poll_interval,
+                    poll_method: this.#options.poll_method,
+                }
+            );
+            this.#watcher_pool.handle('error', (path, error) =>
+                this._on_error(path, error)
+            );
+        } else {
+            this.#watcher_pool = null;
+        }
 
-        // Create Root File Instance
-        this.#root_file = new NestedLiveFile({
-            path: file_path,
-            tags: this.#tags,
+        // Create Module Registry which bundles required modules shared by all entries
+        // Entries which bundle a changed module are recompiled
+        this.#modules = new ModuleRegistry({
+            externals: this.#options.externals,
+            loaders: this.#options.loaders,
             watcher_pool: this.#watcher_pool,
-            forbidden: [file_path],
+        });
+        this.#modules.handle('error', (path, error) =>
+            this._on_error(path, error)
+        );
+        this.#modules.handle('change', (path) => {
+            let entries = this.#entries;
+            Object.keys(entries).forEach((key) => {
+                if (entries[key].modules.includes(path))
+                    this._queue_recalibration(entries[key], Path.resolve(path));
+            });
         });
 
-        // Bind logger handler for file instance
-        this.#root_file.handle('logger', (message) =>
+        // Create Live File Store which shares live files between every entry and file which includes them
+        // Events of a shared live file are passed to every entry whose file tree contains it
+        this.#files.handle('logger', (message) =>
             this.#methods.logger(message)
         );
-
-        // Bind error handler for file instance
-        this.#root_file.handle('error', (path, error) =>
-            this.#methods.error(path, error)
+        this.#files.handle('error', (file, path, error, hierarchy) => {
+            let entries = this._entries_including(file);
+            this._on_error(
+                path,
+                error,
+                entries.length > 0 ? entries : null,
+                hierarchy
+            );
+        });
+        this.#files.handle('change', (file, event) =>
+            this._entries_including(file).forEach((entry) =>
+                this._emit(
+                    'change',
+                    Object.assign({ entry: entry.path }, event)
+                )
+            )
+        );
+        this.#files.handle('recalibrate', (file, path) =>
+            this._entries_including(file).forEach((entry) =>
+                this._queue_recalibration(entry, path)
+            )
         );
 
-        // Bind recalibration handler for file instance
-        this.#root_file.handle('recalibrate', () => this._on_recalibration());
+        // Create an entry with its own root file for every entry path
+        // The first entry is the primary entry used when no entry is specified
+        let entries = Array.isArray(file_path) ? file_path : [file_path];
+        entries.forEach((path) => this._create_entry(normalize_path(path)));
+        this.#primary = normalize_path(entries[0]);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Creates the root file instance and write state for provided entry path.
+     * Root files of all entries share the watcher pool, file reader and live files of this compiler.
+     *
+     * @param {String} path Normalized entry path
+     */
+    _create_entry(path) {
+        if (this.#entries[path]) return;
+
+        // Acquire Root File Instance with a normalized path so include loops back to it are detected
+        // The root file is shared with entries which include the same path
+        let reference = this;
+        let entry = {
+            path: path,
+            root: this.#files.acquire(
+                Path.resolve(path),
+                () =>
+                    new NestedLiveFile({
+                        path: path,
+                        tags: reference.#tags,
+                        options: reference.#options,
+                        watcher_pool: reference.#watcher_pool,
+                        reader: reference.#reader,
+                        store: reference.#files,
+                    })
+            ),
+            runner: null,
+            errors: [],
+            modules: [],
+            recalibration: {
+                compiled: false,
+                timer: null,
+                started: 0,
+                changes: [],
+            },
+            write_to: {
+                written: false,
+                path: null,
+                file_name: null,
+                last_write: 0,
+                write_delay: 250,
+                pending: false,
+                relative_errors: true,
+                runtime_relative_errors: true,
+                source_map: true,
+                profile: 'development',
+                strip_comments: false,
+            },
+        };
+        this.#entries[path] = entry;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the entries whose file tree contains provided live file.
+     *
+     * @param {NestedLiveFile} file
+     * @returns {Array} Array
+     */
+    _entries_including(file) {
+        let entries = this.#entries;
+        return Object.keys(entries)
+            .map((key) => entries[key])
+            .filter((entry) => entry.root.includes(file));
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the entry for provided entry path or the primary entry if no path is provided.
+     *
+     * @param {String} path
+     * @returns {Object} Object
+     */
+    _entry(path) {
+        if (path === undefined) return this.#entries[this.#primary];
+
+        let entry = this.#entries[normalize_path(path)];
+        if (entry == undefined)
+            throw new Error(`${path} is not an entry of this compiler`);
+        return entry;
     }
 
     /**
@@ -85,17 +296,126 @@ class Compiler {
      *  This method is used to verify constructor option types
      *
      */
-    _parse_options({ file_path, watcher_delay, include_tag }) {
-        if (typeof file_path !== 'string')
-            throw new Error('file_path must be a String');
+    _parse_options({
+        file_path,
+        watcher_delay,
+        settle_delay,
+        include_tag,
+        scoped_include_tag,
+        once_include_tag,
+        text_include_tag,
+        json_include_tag,
+        base64_include_tag,
+        include_once,
+        watch,
+        watch_mode,
+        poll_interval,
+        poll_method,
+        defines,
+        bundle,
+        externals,
+        transforms,
+        loaders,
+        before_write,
+        after_write,
+    }) {
+        let paths = Array.isArray(file_path) ? file_path : [file_path];
+        if (paths.length == 0 || paths.some((path) => typeof path !== 'string'))
+            throw new Error(
+                'file_path must be a String or an Array of Strings'
+            );
 
         if (typeof watcher_delay !== 'number')
             throw new Error('watcher_delay must be a Number in milliseconds');
         this.#watcher_delay = watcher_delay;
 
+        if (!Number.isFinite(settle_delay) || settle_delay < 0)
+            throw new Error(
+                'settle_delay must be a non-negative Number in milliseconds'
+            );
+        this.#settle_delay = settle_delay;
+
         if (typeof include_tag !== 'string')
             throw new Error('include_method must be a String');
         this.#tags.inline_include = include_tag;
+
+        if (typeof scoped_include_tag !== 'string')
+            throw new Error('scoped_include_tag must be a String');
+        this.#tags.scoped_include = scoped_include_tag;
+
+        if (typeof once_include_tag !== 'string')
+            throw new Error('once_include_tag must be a String');
+        this.#tags.once_include = once_include_tag;
+
+        if (typeof text_include_tag !== 'string')
+            throw new Error('text_include_tag must be a String');
+        this.#tags.text_include = text_include_tag;
+
+        if (typeof json_include_tag !== 'string')
+            throw new Error('json_include_tag must be a String');
+        this.#tags.json_include = json_include_tag;
+
+        if (typeof base64_include_tag !== 'string')
+            throw new Error('base64_include_tag must be a String');
+        this.#tags.base64_include = base64_include_tag;
+
+        if (typeof include_once !== 'boolean')
+            throw new Error('include_once must be a Boolean');
+        this.#options.include_once = include_once;
+
+        if (typeof watch !== 'boolean')
+            throw new Error('watch must be a Boolean');
+
+        if (!['native', 'poll', 'auto'].includes(watch_mode))
+            throw new Error('watch_mode must be one of native, poll or auto');
+        this.#options.watch_mode = watch_mode;
+
+        if (!Number.isFinite(poll_interval) || poll_interval <= 0)
+            throw new Error(
+                'poll_interval must be a positive Number in milliseconds'
+            );
+        this.#options.poll_interval = poll_interval;
+
+        if (!['mtime', 'hash'].includes(poll_method))
+            throw new Error('poll_method must be one of mtime or hash');
+        this.#options.poll_method = poll_method;
+
+        if (defines === null || typeof defines !== 'object')
+            throw new Error('defines must be an Object');
+        this.#options.defines = defines;
+
+        if (typeof bundle !== 'boolean')
+            throw new Error('bundle must be a Boolean');
+        this.#options.bundle = bundle;
+
+        if (
+            !Array.isArray(externals) ||
+            externals.some((name) => typeof name !== 'string')
+        )
+            throw new Error('externals must be an Array of Strings');
+        this.#options.externals = externals;
+
+        if (
+            !Array.isArray(transforms) ||
+            transforms.some((transform) => typeof transform !== 'function')
+        )
+            throw new Error('transforms must be an Array of Functions');
+        this.#options.transforms = transforms;
+
+        if (loaders === null || typeof loaders !== 'object')
+            throw new Error(
+                'loaders must be an Object keyed by file extension'
+            );
+        this.#options.loaders = resolve_loaders(loaders);
+
+        // Write hooks are optional and default to passthrough methods
+        ['before_write', 'after_write'].forEach((hook) => {
+            let method = { before_write, after_write }[hook];
+            if (method === undefined) return;
+            if (typeof method !== 'function')
+                throw new Error(`${hook} must be a Function`);
+            this.#hooks[hook] = method;
+        });
     }
 
     /**
@@ -126,6 +446,7 @@ class Compiler {
 
     /**
      * Sets recalibration event handler for compiler instance.
+     * The handler receives the path of the recompiled entry.
      *
      * @param {Function} handler
      */
@@ -138,46 +459,197 @@ class Compiler {
         this.#methods.recalibrate = handler;
     }
 
+    /**
+     * Binds a listener for specified event. Multiple listeners may be bound to the same event.
+     * Listeners receive a payload object with the event type, absolute path, hierarchy and timing.
+     *
+     * @param {String} event change | compile | write | error | syntax_error
+     * @param {Function} listener (payload) => {}
+     * @returns {Compiler} Compiler
+     */
+    on(event, listener) {
+        if (this.#listeners[event] == undefined)
+            throw new Error(
+                `on(event, listener) -> event must be one of ${EVENTS.join(
+                    ', '
+                )}`
+            );
+        if (typeof listener !== 'function')
+            throw new Error(
+                'on(event, listener) -> listener must be a Function'
+            );
+
+        this.#listeners[event].push(listener);
+        return this;
+    }
+
+    /**
+     * Binds a listener for specified event which is removed after its first call.
+     *
+     * @param {String} event
+     * @param {Function} listener (payload) => {}
+     * @returns {Compiler} Compiler
+     */
+    once(event, listener) {
+        let reference = this;
+        let wrapper = (payload) => {
+            reference.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Removes a listener previously bound with on() or once() for specified event.
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {Compiler} Compiler
+     */
+    off(event, listener) {
+        let listeners = this.#listeners[event];
+        if (listeners == undefined) return this;
+
+        this.#listeners[event] = listeners.filter(
+            (current) => current !== listener && current.listener !== listener
+        );
+        return this;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Calls every listener of specified event with provided payload.
+     * The event type and a timestamp are added to every payload.
+     *
+     * @param {String} event
+     * @param {Object} payload
+     */
+    _emit(event, payload) {
+        let listeners = this.#listeners[event];
+        if (listeners.length == 0) return;
+
+        payload = Object.assign({ type: event, time: Date.now() }, payload);
+        listeners.slice().forEach((listener) => listener(payload));
+    }
+
     /**
      * This method is used to initiate the hot reload compiled file writing sequence.
+     * Every entry has its own write_to target which defaults to the primary entry.
      *
+     * @param {String} options.entry
      * @param {String} options.path
      * @param {String} options.file_name
      * @param {Number} options.write_delay
      * @param {Boolean} options.relative_errors
+     * @param {Boolean} options.runtime_relative_errors
+     * @param {Boolean} options.source_map
+     * @param {String} options.profile
+     * @param {Boolean} options.strip_comments
      */
     write_to({
+        entry,
         path,
         file_name,
         write_delay,
         relative_errors,
         runtime_relative_errors,
+        source_map,
+        profile,
+        strip_comments,
     }) {
         // Determine write_to path
         if (typeof path !== 'string')
             throw new Error(
                 `write_to(options) -> options.path is a required string`
             );
-        this.#write_to.path = chunks_to_path(path_to_chunks(path));
+        let target = this._entry(entry);
+        let state = target.write_to;
+        state.path = this._directory_path(path);
 
         // Determine write_to file name or auto generate
         if (typeof file_name == 'string') {
-            this.#write_to.file_name = file_name;
+            state.file_name = file_name;
         } else {
-            this.#write_to.file_name = `compiled_${this.#root_file.name}`;
+            state.file_name = `compiled_${target.root.name}`;
         }
 
         // Set write_delay if it is a valid number type
-        if (typeof write_delay == 'number')
-            this.#write_to.write_delay = write_delay;
+        if (typeof write_delay == 'number') state.write_delay = write_delay;
 
         // Set relative_errors if it is a valid boolean type
         if (typeof relative_errors == 'boolean')
-            this.#write_to.relative_errors = relative_errors;
+            state.relative_errors = relative_errors;
 
         // Set runtime_relative_errors if it is a valid boolean type
         if (typeof runtime_relative_errors == 'boolean')
-            this.#write_to.runtime_relative_errors = runtime_relative_errors;
+            state.runtime_relative_errors = runtime_relative_errors;
+
+        // Set source_map if it is a valid boolean type
+        if (typeof source_map == 'boolean') state.source_map = source_map;
+
+        // Set profile if it is a supported output profile
+        if (profile !== undefined) {
+            if (!PROFILES.includes(profile))
+                throw new Error(
+                    `write_to(options) -> options.profile must be one of ${PROFILES.join(
+                        ', '
+                    )}`
+                );
+            state.profile = profile;
+        }
+
+        // Set strip_comments if it is a valid boolean type
+        if (typeof strip_comments == 'boolean')
+            state.strip_comments = strip_comments;
+    }
+
+    /**
+     * Runs the write_to compiled file of an entry as a supervised child process.
+     * The child process is gracefully restarted after every successful write of the entry.
+     *
+     * @param {String} options.entry
+     * @param {Array} options.args
+     * @param {Object} options.env
+     * @param {Array} options.node_args
+     * @param {Number} options.kill_timeout
+     * @returns {ProcessRunner} ProcessRunner
+     */
+    run({
+        entry,
+        args = [],
+        env = {},
+        node_args = [],
+        kill_timeout = 5000,
+    } = {}) {
+        let target = this._entry(entry);
+        if (target.write_to.path === null)
+            throw new Error(
+                'run(options) -> write_to(options) must be called before run()'
+            );
+
+        if (target.runner !== null)
+            throw new Error('run(options) -> entry is already running');
+
+        const { path, file_name, written } = target.write_to;
+        const runner = new ProcessRunner({
+            file_path: path + file_name,
+            args,
+            env,
+            node_args,
+            kill_timeout,
+        });
+
+        // Bind passthrough logger and error handler for runner
+        runner.handle('logger', (message) => this.#methods.logger(message));
+        runner.handle('error', (path, error) =>
+            this._on_error(path, error, target)
+        );
+
+        // Start immediately if compiled file has already been written
+        target.runner = runner;
+        if (written) runner.start();
+        return runner;
     }
 
     /**
@@ -188,13 +660,16 @@ class Compiler {
      * @param {Error} error
      * @param {String} compiled
      * @param {Function} handler
+     * @param {SourceMap} source_map
      */
-    static _on_exception(compiler, error, compiled, handler) {
+    static _on_exception(compiler, error, compiled, handler, source_map) {
         let error_string = error.stack;
         let relative_error = compiler._relativize_error(
             error_string,
             compiled,
-            true
+            true,
+            undefined,
+            source_map
         );
 
         if (typeof handler == 'function') {
@@ -205,6 +680,32 @@ class Compiler {
         }
     }
 
+    /**
+     * INTERNAL METHOD!
+     * Reads the source map referenced by the running compiled file or the sidecar {file_name}.map of content without boundary comments.
+     *
+     * @param {String} compiled
+     * @returns {SourceMap} SourceMap OR undefined
+     */
+    static _read_source_map(compiled) {
+        // Referenced source maps are preferred as they also cover lines moved by transforms
+        let reference = compiled.match(/\/\/# sourceMappingURL=(\S+)\s*$/);
+        if (!reference && compiled.indexOf('//_ START_FILE | ') > -1) return;
+
+        let self = process.argv[1].split('\\').join('/');
+        let map_path = reference
+            ? Path.join(Path.dirname(self), reference[1])
+            : self + '.map';
+        try {
+            return SourceMap.from_object(
+                JSON.parse(FileSystem.readFileSync(map_path, 'utf8')),
+                Path.dirname(map_path)
+            );
+        } catch (error) {
+            return;
+        }
+    }
+
     /**
      * Binds global error exception handler which will log relative error traces
      */
@@ -230,9 +731,18 @@ class Compiler {
                         return console.log(error);
                     }
 
+                    // Production output has no boundary comments and is mapped through its source map
+                    let source_map = this._read_source_map(compiled);
+
                     // Bind uncaughtException handler
                     process.on('uncaughtException', (error, origin) =>
-                        this._on_exception(compiler, error, compiled, handler)
+                        this._on_exception(
+                            compiler,
+                            error,
+                            compiled,
+                            handler,
+                            source_map
+                        )
                     );
 
                     // Bind unhandledRejection handler
@@ -242,7 +752,8 @@ class Compiler {
                                 compiler,
                                 error,
                                 compiled,
-                                handler
+                                handler,
+                                source_map
                             )
                         )
                     );
@@ -251,38 +762,351 @@ class Compiler {
         }
     }
 
+    /**
+     * Compiles provided root file once without starting any file watchers.
+     * Resolves once the whole include tree has been read and the output has been written.
+     * Rejects with the first error encountered such as missing includes or syntax errors.
+     *
+     * @param {String} options.file_path
+     * @param {String} options.output
+     * @param {String} options.include_tag
+     * @param {Boolean} options.include_once
+     * @param {Object} options.defines
+     * @param {Boolean} options.bundle
+     * @param {Array} options.externals
+     * @param {Array} options.transforms
+     * @param {Object} options.loaders
+     * @param {Function} options.before_write
+     * @param {Function} options.after_write
+     * @param {Boolean} options.relative_errors
+     * @param {Boolean} options.runtime_relative_errors
+     * @param {Boolean} options.source_map
+     * @param {String} options.profile
+     * @param {Boolean} options.strip_comments
+     * @returns {Promise} Promise -> Reject[Error] OR Resolve[Object]
+     */
+    static async build({
+        file_path,
+        output,
+        include_tag = 'include',
+        include_once = false,
+        defines = {},
+        bundle = false,
+        externals = [],
+        transforms = [],
+        loaders = {},
+        before_write,
+        after_write,
+        relative_errors = true,
+        runtime_relative_errors = false,
+        source_map = true,
+        profile = 'development',
+        strip_comments = false,
+    }) {
+        if (!PROFILES.includes(profile))
+            throw new Error(
+                `build(options) -> options.profile must be one of ${PROFILES.join(
+                    ', '
+                )}`
+            );
+
+        const errors = [];
+        const compiler = new Compiler({
+            file_path,
+            include_tag,
+            include_once,
+            defines,
+            bundle,
+            externals,
+            transforms,
+            loaders,
+            before_write,
+            after_write,
+            watch: false,
+        });
+
+        // Collect errors reported while reading the include tree
+        compiler.set_error_handler((path, error) => errors.push(error));
+
+        // Build once every nested file has been read and release nested file instances afterwards
+        // Bundled modules are collected beforehand as they are otherwise only read while composing output
+        await compiler.ready();
+        try {
+            compiler._collect_modules(compiler._entry());
+            if (errors.length > 0) throw errors[0];
+            return await compiler._build_output({
+                output,
+                relative_errors,
+                runtime_relative_errors,
+                source_map,
+                profile,
+                strip_comments,
+            });
+        } finally {
+            compiler.destroy();
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Writes compiled output for a one-shot build and verifies its syntax.
+     *
+     * @param {Object} options
+     * @returns {Promise} Promise -> Reject[Error] OR Resolve[Object]
+     */
+    async _build_output({
+        output,
+        relative_errors,
+        runtime_relative_errors,
+        source_map,
+        profile,
+        strip_comments,
+    }) {
+        let production = profile == 'production';
+
+        // Return compiled content without writing when no output path is specified
+        // Returned content is syntax checked like written output so invalid code is never returned
+        if (typeof output !== 'string') {
+            let file_name = Path.basename(this.#primary);
+            let result = this._compose_output({
+                chunks: this.chunks,
+                file_name,
+                profile,
+                strip_comments,
+            });
+            let syntax_error = this._check_syntax(
+                result.content,
+                file_name,
+                relative_errors,
+                result.map
+            );
+            if (syntax_error) throw syntax_error;
+            return {
+                compiled: result.content,
+                path: null,
+            };
+        }
+
+        let chunks = path_to_chunks(output.split('\\').join('/'));
+        let file_name = chunks.pop();
+        let path = this._directory_path(chunks_to_path(chunks));
+        let result = this._compose_output({
+            chunks: this.chunks,
+            file_name,
+            runtime_logger: relative_errors && runtime_relative_errors,
+            profile,
+            strip_comments,
+        });
+        let context = {
+            entry: this.#primary,
+            path: Path.resolve(path + file_name),
+        };
+        result.content = await this._before_write(
+            result.content,
+            result.map,
+            context
+        );
+
+        // Test for syntax errors before writing so an existing output is never overwritten by invalid code
+        let syntax_error = this._check_syntax(
+            result.content,
+            file_name,
+            relative_errors,
+            result.map
+        );
+        if (syntax_error) throw syntax_error;
+        if (source_map)
+            result.content += `\n//# sourceMappingURL=${file_name}.map`;
+
+        // Ensure output directory exists before writing compiled files
+        // Production output always has a sidecar source map as it has no boundary comments
+        await FileSystem.promises.mkdir(path, { recursive: true });
+        if (source_map || production)
+            await this._write_file(
+                path + file_name + '.map',
+                result.map.stringify(path)
+            );
+        await this._write_file(path + file_name, result.content);
+        await this.#hooks.after_write(result.content, context);
+
+        return {
+            compiled: result.content,
+            path: path + file_name,
+        };
+    }
+
     /**
      * Destroys compiled instance and cleans up all underlying watcher instances
      */
     destroy() {
-        this.#root_file.destroy();
-        this.#watcher_pool.destroy();
+        let entries = this.#entries;
+        Object.keys(entries).forEach((path) => {
+            clearTimeout(entries[path].recalibration.timer);
+            this.#files.release(entries[path].root);
+            if (entries[path].runner) entries[path].runner.stop();
+        });
+        this.#modules.destroy();
+        if (this.#watcher_pool) this.#watcher_pool.destroy();
     }
 
     /**
-     * This method tests the syntax of the write_to file
+     * INTERNAL METHOD!
+     * Collects modules bundled by provided entry and stores their paths so changes recompile the entry.
      *
-     * @returns {Promise} Promise -> Reject[String] OR Resolve[undefined]
+     * @param {Object} entry
+     * @returns {Array} Array
      */
-    _test_syntax() {
-        let reference = this;
-        return new Promise((resolve, reject) => {
-            const { path, file_name } = reference.#write_to;
-            exec(
-                `node -c ${path}${file_name}`,
-                {
-                    windowsHide: true,
-                },
-                (error, stdout, stderr) => {
-                    if (error) return reject(stderr);
-                    return resolve();
-                }
+    _collect_modules(entry) {
+        let modules = this.#options.bundle
+            ? this.#modules.collect(entry.root.modules)
+            : [];
+        entry.modules = modules.map(({ path }) => path);
+        return modules;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns compiled chunks of provided entry with the registry of bundled modules appended.
+     *
+     * @param {Object} entry
+     * @returns {Object} Object
+     */
+    _entry_chunks(entry) {
+        let chunks = entry.root.chunks;
+        let modules = this._collect_modules(entry);
+        if (modules.length == 0) return chunks;
+
+        return {
+            path: entry.path,
+            line: 1,
+            spacing: 0,
+            content: [chunks, this.#modules.chunks(modules)],
+        };
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Passes provided compiled content through the before_write hook.
+     * Generated lines of provided source map are moved along with lines which the hook inserted or removed.
+     *
+     * @param {String} content
+     * @param {SourceMap} source_map
+     * @param {Object} context { entry, path }
+     * @returns {Promise} Promise -> Reject[Error] OR Resolve[String]
+     */
+    async _before_write(content, source_map, context) {
+        let result = await this.#hooks.before_write(content, context);
+        if (typeof result !== 'string')
+            throw new Error(
+                `before_write must return the compiled content of ${context.path} as a String`
             );
-        });
+
+        let lines = line_map(content, result);
+        if (lines !== null) source_map.remap(lines);
+        return result;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Tests the syntax of provided compiled content in-process without running it.
+     * Content is wrapped like Node.js wraps CommonJS modules so top level return statements remain valid.
+     *
+     * @param {String} content
+     * @param {String} file_name
+     * @returns {Object} Object -> { message, line, column, trace } OR undefined
+     */
+    _test_syntax(content, file_name) {
+        // Hashbang lines are only valid at the beginning of a script so they are replaced with a comment of equal length
+        let source = content.startsWith('#!')
+            ? '//' + content.substring(2)
+            : content;
+
+        try {
+            new VM.Script(Module.wrap(source), { filename: file_name });
+            return;
+        } catch (error) {
+            if (error.name !== 'SyntaxError') throw error;
+
+            // Parse position from the stack which starts with the file name, line, source line and a caret
+            // Positions past the content such as unexpected ends of input point to the wrapper and are clamped
+            let lines = content.split('\n');
+            let stack = error.stack.split('\n');
+            let message = error.message;
+            let line = +(stack[0].split(file_name + ':')[1] || 1);
+            let column = Math.max(0, (stack[2] || '').indexOf('^'));
+            if (line == 1)
+                column = Math.max(0, column - Module.wrapper[0].length);
+            if (line > lines.length) {
+                message = 'Unexpected end of input';
+                line = lines.length;
+                column = lines[line - 1].length;
+            }
+
+            return {
+                message: message,
+                line: line,
+                column: column,
+                trace: [
+                    `${file_name}:${line}`,
+                    lines[line - 1],
+                    repeat_character(' ', column) + '^',
+                    '',
+                    `SyntaxError: ${message}`,
+                ].join('\n'),
+            };
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Tests the syntax of provided compiled content and returns a CompiledSyntaxError if it is invalid.
+     * The original file and line are resolved through provided source map or boundary comments when relative errors are enabled.
+     *
+     * @param {String} content
+     * @param {String} file_name
+     * @param {Boolean} relative_errors
+     * @param {SourceMap} source_map
+     * @returns {CompiledSyntaxError} CompiledSyntaxError OR undefined
+     */
+    _check_syntax(content, file_name, relative_errors, source_map) {
+        let diagnostic = this._test_syntax(content, file_name);
+        if (diagnostic === undefined) return;
+
+        // Source maps also cover lines moved by transforms while boundary comments cover unmapped lines such as their own
+        let { message, line, column, trace } = diagnostic;
+        let original = null;
+        if (relative_errors) {
+            let lines = content.split('\n');
+            let relative_file =
+                this._relative_file(line, lines, source_map) ||
+                this._relative_file(line, lines);
+            if (relative_file) {
+                original = {
+                    path: Path.resolve(relative_file.path),
+                    line: relative_file.relative_line,
+                };
+                trace = trace.replace(
+                    `${file_name}:${line}`,
+                    `[${original.path}:${original.line}]`
+                );
+            }
+        }
+
+        return new CompiledSyntaxError(
+            {
+                message: message,
+                line: line,
+                column: column,
+                original: original,
+            },
+            trace
+        );
     }
 
     /**
      * Stringifies compiled chunks into combined lines.
+     * Stringified content is cached by content and cumulative spacing as live files reuse the chunks of unchanged files.
+     * Only chunks of a changed file and its ancestors are stringified again which makes recompilation cost O(depth).
      *
      * @param {Object} chunks
      * @param {Number} spacing
@@ -294,24 +1118,229 @@ class Compiler {
         // Ensure valid chunks can be determined
         if (contents == undefined) return;
 
-        // Convert nested references to stringified lines
+        // Return cached output of unchanged content
+        let cache = this.#stringified.get(contents);
+        if (cache == undefined) {
+            cache = {};
+            this.#stringified.set(contents, cache);
+        }
+        if (cache[spacing] !== undefined) return cache[spacing];
+
+        // Convert nested references to stringified lines with spacing added to all lines
+        // Strings are concatenated as nested output is not copied until the result is used
+        let indentation = repeat_character(' ', spacing);
+        let output = '';
         for (let i = 0; i < contents.length; i++) {
             let current = contents[i];
-
-            // Add spacing if greater than 0 to all lines
-            if (spacing > 0)
-                contents[i] = repeat_character(' ', spacing) + contents[i];
+            if (i > 0) output += '\n';
 
             // Recursively stringify nested files
             if (typeof current == 'object') {
-                contents[i] = this._stringify_chunks(
+                let nested = this._stringify_chunks(
                     current,
                     spacing + current.spacing
                 );
+                if (nested !== undefined) output += nested;
+            } else {
+                output += indentation + current;
             }
         }
 
-        return contents.join('\n');
+        return (cache[spacing] = output);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Maps compiled chunks into generated lines of provided source map.
+     * This method mirrors the traversal and spacing of _stringify_chunks() without mutating chunks.
+     *
+     * @param {Object} chunks
+     * @param {SourceMap} source_map
+     * @param {Number} spacing
+     */
+    _map_chunks(chunks, source_map, spacing = 0) {
+        let contents = chunks ? chunks.content : undefined;
+
+        // Ensure valid chunks can be determined
+        if (contents == undefined) return;
+
+        // Empty pattern groups are stringified into a single empty line
+        if (contents.length == 0) return source_map.add_line();
+
+        // Only files wrapped in boundary comments have original lines to map
+        let bounded =
+            typeof contents[0] == 'string' &&
+            this._boundary_statement(contents[0]) !== undefined;
+
+        for (let i = 0; i < contents.length; i++) {
+            let current = contents[i];
+            if (typeof current == 'object') {
+                // Recursively map nested files with their accumulated spacing
+                this._map_chunks(
+                    current,
+                    source_map,
+                    spacing + current.spacing
+                );
+            } else if (bounded && i > 0 && i < contents.length - 1) {
+                // Content line i represents original line i as line 0 is the start boundary comment
+                // Lines moved by transforms carry their original line
+                source_map.add_line(
+                    chunks.path,
+                    chunks.lines ? chunks.lines[i] : i,
+                    spacing
+                );
+            } else {
+                source_map.add_line();
+            }
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Flattens provided chunks into generated lines with their original positions.
+     * Marker comments such as file boundaries are dropped and no re-indentation is applied.
+     *
+     * @param {Object} chunks
+     * @param {Array} lines
+     */
+    _flatten_chunks(chunks, lines) {
+        let contents = chunks ? chunks.content : undefined;
+
+        // Ensure valid chunks can be determined
+        if (contents == undefined) return;
+
+        // Only files wrapped in boundary comments have original lines to map
+        let bounded =
+            typeof contents[0] == 'string' &&
+            this._boundary_statement(contents[0]) !== undefined;
+
+        for (let i = 0; i < contents.length; i++) {
+            let current = contents[i];
+            if (typeof current == 'object') {
+                this._flatten_chunks(current, lines);
+            } else if (!MARKER_REGEX.test(current)) {
+                let mapped = bounded && i > 0 && i < contents.length - 1;
+                lines.push({
+                    text: current,
+                    path: mapped ? chunks.path : null,
+                    line: chunks.lines ? chunks.lines[i] : i,
+                });
+            }
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Compiles provided chunks into compact production output along with its source map.
+     * Indentation, trailing whitespace and empty lines are removed except on lines spanned by
+     * multi-line string or template literals whose values would otherwise change.
+     *
+     * @param {Object} options.chunks
+     * @param {String} options.file_name
+     * @param {Boolean} options.runtime_logger
+     * @param {Boolean} options.strip_comments
+     * @returns {Object} Object
+     */
+    _compose_production({
+        chunks,
+        file_name,
+        runtime_logger,
+        strip_comments: strip,
+    }) {
+        let lines = [];
+        this._flatten_chunks(chunks, lines);
+
+        // Comments are stripped from the whole content as block comments may span multiple lines
+        let content = lines.map(({ text }) => text).join('\n');
+        if (strip) content = strip_comments(content);
+
+        let literals = literal_lines(content);
+        let map = new SourceMap(file_name);
+        let output = [];
+        if (runtime_logger) {
+            map.add_line();
+            output.push(
+                "require('application-compiler').log_relative_errors();"
+            );
+        }
+
+        content.split('\n').forEach((text, index) => {
+            let { path, line } = lines[index];
+            let indentation = 0;
+            if (!literals.has(index + 1)) {
+                indentation = text.length - text.trimStart().length;
+                text = text.trim();
+                if (text.length == 0) return;
+            }
+
+            output.push(text);
+            if (path === null) {
+                map.add_line();
+            } else {
+                map.add_line(path, line, 0, indentation);
+            }
+        });
+
+        return {
+            content: output.join('\n'),
+            map,
+        };
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Compiles provided chunks into output content along with its source map.
+     *
+     * @param {Object} options.chunks
+     * @param {String} options.file_name
+     * @param {Boolean} options.runtime_logger
+     * @param {String} options.profile
+     * @param {Boolean} options.strip_comments
+     * @returns {Object} Object
+     */
+    _compose_output({
+        chunks,
+        file_name,
+        runtime_logger,
+        profile = 'development',
+        strip_comments = false,
+    }) {
+        if (profile == 'production')
+            return this._compose_production({
+                chunks,
+                file_name,
+                runtime_logger,
+                strip_comments,
+            });
+
+        // Generate source map with an unmapped first line for the injected runtime logger
+        let map = new SourceMap(file_name);
+        if (runtime_logger) map.add_line();
+        this._map_chunks(chunks, map);
+
+        // Inject Compiler.log_relative_errors() call to compiled content beginning
+        let content = this._stringify_chunks(chunks);
+        let relative_logger_code =
+            "require('application-compiler').log_relative_errors();\n";
+        if (runtime_logger) content = relative_logger_code + content;
+
+        return {
+            content,
+            map,
+        };
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Normalizes provided directory path to always end with a trailing slash.
+     *
+     * @param {String} path
+     * @returns {String} String
+     */
+    _directory_path(path) {
+        if (path === '.' || path === '') return './';
+        path = chunks_to_path(path_to_chunks(path));
+        return path.endsWith('/') ? path : path + '/';
     }
 
     /**
@@ -319,9 +1348,10 @@ class Compiler {
      * Retrieves path data based on self specification for schematic parsing.
      *
      * @param {Boolean} self
+     * @param {String} file_name
      * @returns {Object} Object
      */
-    _path_data(self) {
+    _path_data(self, file_name) {
         if (self) {
             let chunks = path_to_chunks(process.argv[1].split('\\').join('/'));
             return {
@@ -329,10 +1359,8 @@ class Compiler {
                 path: chunks_to_path(chunks),
             };
         } else {
-            const { file_name, path } = this.#write_to;
             return {
                 name: file_name,
-                path: path + file_name,
             };
         }
     }
@@ -379,12 +1407,24 @@ class Compiler {
 
     /**
      * Returns relative file path and total line count for compiled line position.
+     * The original position is looked up in provided source map when compiled content has no boundary comments.
      *
      * @param {Number} line
      * @param {Array} chunks
+     * @param {SourceMap} source_map
      * @returns {Object} Object
      */
-    _relative_file(line, chunks) {
+    _relative_file(line, chunks, source_map) {
+        if (source_map) {
+            let original = source_map.lookup(line);
+            if (original)
+                return {
+                    path: original.path,
+                    relative_line: original.line,
+                };
+            return;
+        }
+
         // Iterate line down by 1 due to array 0th position offset
         line--;
 
@@ -440,14 +1480,16 @@ class Compiler {
      * @param {Error} error
      * @param {String} compiled
      * @param {Boolean} self
+     * @param {String} file_name
+     * @param {SourceMap} source_map Used instead of boundary comments for output without them
      */
-    _relativize_error(error, compiled, self = true) {
+    _relativize_error(error, compiled, self = true, file_name, source_map) {
         // Stringify error and convert backslashes to forward slashes to support Windows
         let error_string = typeof error !== 'string' ? error.toString() : error;
         error_string = error_string.split('\\').join('/'); // Replace all backwards slashes with forward slash
 
         let reference = this;
-        let path_data = this._path_data(self);
+        let path_data = this._path_data(self, file_name);
         let compiled_chunks = compiled.split('\n');
         let error_chunks = error_string.split('\n');
         for (let i = 0; i < error_chunks.length; i++) {
@@ -465,10 +1507,17 @@ class Compiler {
                     );
 
                     if (error_line) {
-                        let relative_file = reference._relative_file(
-                            error_line,
-                            compiled_chunks
-                        );
+                        // Lines without a mapping such as boundary comments fall back to boundary comments
+                        let relative_file =
+                            reference._relative_file(
+                                error_line,
+                                compiled_chunks,
+                                source_map
+                            ) ||
+                            reference._relative_file(
+                                error_line,
+                                compiled_chunks
+                            );
 
                         if (relative_file) {
                             // Replace current trace with absolute relativized trace
@@ -508,30 +1557,53 @@ class Compiler {
 
     /**
      * INTERNAL METHOD!
-     * Triggers compiled file writing sequence based on write_to settings.
+     * Triggers a write of provided entry without awaiting it.
+     * Failed writes and throwing write hooks are reported through the error handler.
      *
+     * @param {Object} entry
      */
-    async _perform_write() {
+    _queue_write(entry) {
+        let { path, file_name } = entry.write_to;
+        this._perform_write(entry).catch((error) =>
+            this._on_error(Path.resolve(path + file_name), error, entry)
+        );
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Triggers compiled file writing sequence based on write_to settings of provided entry.
+     *
+     * @param {Object} entry
+     */
+    async _perform_write(entry) {
         // Spread write_to configuration
+        let state = entry.write_to;
         const {
             file_name,
             path,
             last_write,
             write_delay,
             pending,
-            initial_write,
             relative_errors,
             runtime_relative_errors,
-        } = this.#write_to;
+            source_map,
+            profile,
+            strip_comments,
+        } = state;
+        let production = profile == 'production';
 
         // Check for sufficient delay between last write
         let difference = Date.now() - last_write;
         if (difference < write_delay) {
             // Create a delayed timeout to perform a write after sufficient delay has passed
             if (!pending) {
-                this.#write_to.pending = true;
+                state.pending = true;
                 setTimeout(
-                    (reference) => reference._perform_write(),
+                    (reference) => {
+                        // Clear pending flag so an early timer can schedule another attempt
+                        state.pending = false;
+                        reference._queue_write(entry);
+                    },
                     write_delay - difference,
                     this
                 );
@@ -540,64 +1612,364 @@ class Compiler {
         }
 
         // Write compiled file to specified path
-        let reference = this;
-        this.#write_to.pending = false;
-        this.#write_to.last_write = Date.now();
-
-        // Do not perform write on first recalibration as nested file discovery has not finished yet
-        if (!initial_write) return (this.#write_to.initial_write = true);
+        let start = process.hrtime();
+        let output = Path.resolve(path + file_name);
+        let hierarchy = [Path.resolve(entry.path)];
+        state.pending = false;
+        state.last_write = Date.now();
+
+        // Generate compiled content and source map for specified file name
+        let { content: compiled_content, map: compiled_map } =
+            this._compose_output({
+                chunks: this._entry_chunks(entry),
+                file_name,
+                runtime_logger: relative_errors && runtime_relative_errors,
+                profile,
+                strip_comments,
+            });
+
+        // Pass compiled content through the before_write hook
+        let context = {
+            entry: entry.path,
+            path: output,
+        };
+        try {
+            compiled_content = await this._before_write(
+                compiled_content,
+                compiled_map,
+                context
+            );
+        } catch (error) {
+            return this._on_error(output, error, entry);
+        }
 
-        // Generate compiled content and write to specified file name
-        let compiled_content = this.compiled;
+        // Test for syntax errors before writing so the last working output is kept and the runner is not restarted
+        let syntax_error = this._check_syntax(
+            compiled_content,
+            file_name,
+            relative_errors,
+            compiled_map
+        );
+        if (syntax_error) {
+            let { original } = syntax_error;
+            this.#methods.logger(
+                `SYNTAX_ERROR -> ${
+                    original ? `${original.path}:${original.line}` : output
+                }`
+            );
+            this._emit('syntax_error', {
+                entry: entry.path,
+                path: output,
+                hierarchy: hierarchy,
+                error: syntax_error,
+                diagnostic: syntax_error.diagnostic,
+                trace: syntax_error.message,
+            });
+            return this._on_error(
+                original ? original.path : output,
+                syntax_error,
+                entry
+            );
+        }
 
-        // Inject Compiler.log_relative_errors() call to compiled content beginning
-        let relative_logger_code =
-            "require('application-compiler').log_relative_errors();\n";
-        if (relative_errors && runtime_relative_errors)
-            compiled_content = relative_logger_code + compiled_content;
+        // Reference source map at the end of compiled content
+        if (source_map)
+            compiled_content += `\n//# sourceMappingURL=${file_name}.map`;
 
         // Perform compiled content write
         try {
-            await this._write_file(path + file_name, compiled_content);
+            // Write source map first as it is referenced at the end of compiled content
+            // Production output always has a sidecar source map as it has no boundary comments
+            if (source_map || production)
+                await this._write_file(
+                    path + file_name + '.map',
+                    compiled_map.stringify(path)
+                );
 
-            // Perform post processing if relative errors have been requested
-            if (relative_errors) {
-                // Test for syntax errors
-                try {
-                    await reference._test_syntax();
-                } catch (syntax_error) {
-                    let relative_trace = reference._relativize_error(
-                        syntax_error,
-                        compiled_content,
-                        false
-                    );
+            await this._write_file(path + file_name, compiled_content);
+            await this.#hooks.after_write(compiled_content, context);
+
+            // Notify runner and listeners of a successful write
+            let [seconds, nanoseconds] = process.hrtime(start);
+            state.written = true;
+            this._on_write(entry);
+            this._emit('write', {
+                entry: entry.path,
+                path: output,
+                hierarchy: hierarchy,
+                duration: seconds * 1000 + nanoseconds / 1e6,
+            });
+        } catch (error) {
+            return this._on_error(output, error, entry);
+        }
+    }
 
-                    relative_trace = relative_trace.split('\\').join('\\\\');
+    /**
+     * INTERNAL METHOD!
+     * Handles successful compiled file writes by restarting the supervised process of the entry
+     *
+     * @param {Object} entry
+     */
+    _on_write(entry) {
+        if (entry.runner !== null) entry.runner.restart();
+    }
 
-                    // Log Syntax Error
-                    reference.#methods.logger(`SYNTAX_ERROR -> NO_HIERARCHY`);
+    /**
+     * INTERNAL METHOD!
+     * Stores error for the next compile result and passes it to user handled error event
+     * Errors without an entry such as watcher errors are stored for every entry.
+     * Errors of files shared by multiple entries are stored and emitted for each of them.
+     *
+     * @param {String} path
+     * @param {Error} error
+     * @param {Object|Array} entry
+     * @param {Array} hierarchy Absolute paths from the root file down to the file which reported the error
+     */
+    _on_error(path, error, entry, hierarchy = []) {
+        let entries = this.#entries;
+        let targets = entry
+            ? [].concat(entry)
+            : Object.keys(entries).map((key) => entries[key]);
+        targets.forEach((target) =>
+            target.errors.push({
+                path: path,
+                error: error,
+            })
+        );
+        this.#methods.error(path, error);
+        (entry ? targets : [null]).forEach((target) =>
+            this._emit('error', {
+                entry: target ? target.path : null,
+                path: Path.resolve(path),
+                hierarchy: hierarchy,
+                error: error,
+            })
+        );
+    }
 
-                    // Overwrite compiled file with trace log
-                    let trace_code = `console.error(\`${relative_trace}\`);
-                    process.exit(1);`;
-                    await this._write_file(path + file_name, trace_code);
-                }
-            }
-        } catch (error) {
-            return this.#methods.error(path, error);
+    /**
+     * INTERNAL METHOD!
+     * Queues a recalibration of provided entry for a change of provided path.
+     * Changes are coalesced until no further change has been detected for the settle delay so bursts
+     * such as branch checkouts or formatter runs are compiled and written once.
+     * The first recalibration once the entry has loaded is handled immediately as it is no change.
+     *
+     * @param {Object} entry
+     * @param {String} path Absolute path of the changed file
+     */
+    _queue_recalibration(entry, path) {
+        // Changes are kept while newly included files load so they are reported once the entry compiles
+        let state = entry.recalibration;
+        if (state.compiled && !state.changes.includes(path))
+            state.changes.push(path);
+        if (!entry.root.loaded) return;
+        if (!state.compiled) {
+            state.compiled = true;
+            return this._on_recalibration(entry);
         }
+        if (this.#settle_delay == 0) return this._flush_recalibration(entry);
+
+        // Restart the settle window without postponing the compilation beyond the maximum
+        let now = Date.now();
+        if (state.timer === null) state.started = now;
+        clearTimeout(state.timer);
+        let latest = state.started + this.#settle_delay * MAX_SETTLE_DELAYS;
+        state.timer = setTimeout(
+            (reference) => reference._flush_recalibration(entry),
+            Math.max(0, Math.min(this.#settle_delay, latest - now)),
+            this
+        );
     }
 
     /**
      * INTERNAL METHOD!
-     * Handles nested file triggered recalibrate event
+     * Recalibrates provided entry with every change which has been queued since its last recalibration.
+     *
+     * @param {Object} entry
      */
-    _on_recalibration() {
+    _flush_recalibration(entry) {
+        let state = entry.recalibration;
+        let changes = state.changes;
+        clearTimeout(state.timer);
+        state.timer = null;
+        if (!entry.root.loaded) return;
+        state.changes = [];
+        this._on_recalibration(entry, changes);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Handles nested file triggered recalibrate event of provided entry
+     * Only the output of the recalibrated entry is rewritten.
+     *
+     * @param {Object} entry
+     * @param {Array} changes Absolute paths of the files which changed since the previous recalibration
+     */
+    _on_recalibration(entry, changes = []) {
+        // Ignore recalibrations until every nested file has been loaded as compiled code would be incomplete
+        if (!entry.root.loaded) return;
+
+        // Resolve pending ready() promises once every entry has loaded
+        if (this.loaded) {
+            let ready = this.#promises.ready;
+            this.#promises.ready = [];
+            ready.forEach((resolve) => resolve());
+        }
+
+        // Resolve pending next_compile() promises of this entry and notify compile listeners with compile results
+        let compile = this.#promises.compile.filter(
+            (waiter) => waiter.entry === null || waiter.entry === entry.path
+        );
+        this.#promises.compile = this.#promises.compile.filter(
+            (waiter) => !compile.includes(waiter)
+        );
+        if (compile.length > 0 || this.#listeners.compile.length > 0) {
+            let result = this._compile_result(entry, changes);
+            compile.forEach(({ resolve }) => resolve(result));
+            this._emit(
+                'compile',
+                Object.assign(
+                    {
+                        path: Path.resolve(entry.path),
+                        hierarchy: [Path.resolve(entry.path)],
+                    },
+                    result
+                )
+            );
+        }
+        entry.errors = [];
+
         // Write file content if write_to is enabled
-        if (this.#write_to.path !== null) this._perform_write();
+        if (entry.write_to.path !== null) this._queue_write(entry);
 
         // Trigger user handled recalibrate event
-        this.#methods.recalibrate();
+        this.#methods.recalibrate(entry.path);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Compiles current chunks of provided entry and measures compilation duration.
+     *
+     * @param {Object} entry
+     * @param {Array} changes
+     * @returns {Object} Object
+     */
+    _compile_result(entry, changes = []) {
+        let start = process.hrtime();
+        let compiled = this._stringify_chunks(this._entry_chunks(entry));
+        let [seconds, nanoseconds] = process.hrtime(start);
+        return {
+            entry: entry.path,
+            compiled: compiled,
+            files: entry.root.files,
+            changes: changes,
+            duration: seconds * 1000 + nanoseconds / 1e6,
+            errors: entry.errors,
+        };
+    }
+
+    /**
+     * Returns compiled code of provided entry or the primary entry if no entry is provided.
+     * Bundled modules are included just like in written output.
+     *
+     * @param {String} entry
+     * @returns {String} String
+     */
+    compile(entry) {
+        return this._stringify_chunks(this._entry_chunks(this._entry(entry)));
+    }
+
+    /**
+     * Returns the include tree of an entry with line positions, spacing and pointer counts.
+     * Await ready() before calling this method to ensure the whole include tree has been read.
+     *
+     * @param {String} format object, json or dot
+     * @param {String} entry Defaults to the primary entry
+     * @returns {Object|String} Object OR String
+     */
+    graph(format = 'object', entry) {
+        let tree = this._entry(entry).root.graph;
+        switch (format) {
+            case 'object':
+                return tree;
+            case 'json':
+                return JSON.stringify(tree, null, 4);
+            case 'dot':
+                return this._graph_to_dot(tree);
+            default:
+                throw new Error(
+                    'graph(format) -> format must be one of object, json or dot'
+                );
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Converts provided include tree into a Graphviz DOT digraph.
+     * Files included multiple times are represented by a single node with an edge per unique include call.
+     *
+     * @param {Object} tree
+     * @returns {String} String
+     */
+    _graph_to_dot(tree) {
+        let nodes = {};
+        let edges = new Set();
+        let quote = (value) => JSON.stringify(value);
+        let traverse = (node) => {
+            nodes[node.path] = node.name;
+            node.includes.forEach((include) => {
+                let label = `${include.line}:${include.column}`;
+                if (include.type !== 'inline') label += ` ${include.type}`;
+                edges.add(
+                    `    ${quote(node.path)} -> ${quote(
+                        include.file.path
+                    )} [label=${quote(label)}];`
+                );
+                traverse(include.file);
+            });
+        };
+        traverse(tree);
+
+        return [
+            `digraph ${quote(tree.name)} {`,
+            '    node [shape=box];',
+            ...Object.keys(nodes).map(
+                (path) => `    ${quote(path)} [label=${quote(nodes[path])}];`
+            ),
+            ...edges,
+            '}',
+        ].join('\n');
+    }
+
+    /**
+     * Returns a Promise which resolves once the root file and all of its nested files have loaded.
+     *
+     * @returns {Promise} Promise -> Resolve[undefined]
+     */
+    ready() {
+        let reference = this;
+        return new Promise((resolve) => {
+            if (reference.loaded) return resolve();
+            reference.#promises.ready.push(resolve);
+        });
+    }
+
+    /**
+     * Returns a Promise which resolves with the results of the next compilation.
+     * Only compilations of the specified entry are considered when an entry is provided.
+     *
+     * @param {String} entry
+     * @returns {Promise} Promise -> Resolve[Object]
+     */
+    next_compile(entry) {
+        let reference = this;
+        let path = entry === undefined ? null : this._entry(entry).path;
+        return new Promise((resolve) =>
+            reference.#promises.compile.push({
+                entry: path,
+                resolve: resolve,
+            })
+        );
     }
 
     /* Compiler Getters */
@@ -606,11 +1978,33 @@ class Compiler {
     }
 
     get watchers() {
-        return this.#watcher_pool.pool;
+        return this.#watcher_pool ? this.#watcher_pool.pool : {};
+    }
+
+    get runner() {
+        return this._entry().runner;
+    }
+
+    get entries() {
+        return Object.keys(this.#entries);
+    }
+
+    get reader() {
+        return this.#reader;
+    }
+
+    get files() {
+        return this.#files;
     }
 
     get chunks() {
-        return this.#root_file.chunks;
+        return this._entry_chunks(this._entry());
+    }
+
+    get loaded() {
+        // A compiler is only considered loaded once the include trees of all entries have loaded
+        let entries = this.#entries;
+        return Object.keys(entries).every((path) => entries[path].root.loaded);
     }
 
     get compiled() {
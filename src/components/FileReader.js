@@ -0,0 +1,52 @@
+const FileSystem = require('fs');
+
+class FileReader {
+    #pending = {};
+    #statistics = {
+        reads: 0,
+        coalesced: 0,
+    };
+
+    /**
+     * Reads provided file path with the specified encoding.
+     * Concurrent reads of the same path and encoding such as from live files of multiple entries
+     * which are notified by the same watcher share a single FileSystem read.
+     *
+     * @param {String} path
+     * @param {Function} callback (error, content) => {}
+     * @param {String} encoding
+     */
+    read(path, callback, encoding = 'utf8') {
+        let reference = this;
+        let key = encoding + ':' + path;
+        if (this.#pending[key]) {
+            this.#statistics.coalesced++;
+            return this.#pending[key].push(callback);
+        }
+
+        this.#statistics.reads++;
+        this.#pending[key] = [callback];
+        FileSystem.readFile(
+            path,
+            {
+                encoding: encoding,
+            },
+            (error, content) => {
+                let callbacks = reference.#pending[key];
+                delete reference.#pending[key];
+                callbacks.forEach((call) => call(error, content));
+            }
+        );
+    }
+
+    /* FileReader Getters */
+    get reads() {
+        return this.#statistics.reads;
+    }
+
+    get coalesced() {
+        return this.#statistics.coalesced;
+    }
+}
+
+module.exports = FileReader;
@@ -0,0 +1,30 @@
+class IncludeCycleError extends Error {
+    #cycle;
+
+    /**
+     * Represents an include loop where a file directly or indirectly includes itself.
+     *
+     * @param {Array} cycle Files in the cycle as [{ path, line }] where line is the include call line in that file
+     */
+    constructor(cycle) {
+        let trace = cycle
+            .map(({ path, line }) => `${path}:${line}`)
+            .concat(cycle[0].path)
+            .join(' -> ');
+
+        super(`Infinite inclusion loop detected: ${trace}`);
+        this.name = 'IncludeCycleError';
+        this.#cycle = cycle;
+    }
+
+    /* IncludeCycleError Getters */
+    get cycle() {
+        return this.#cycle;
+    }
+
+    get files() {
+        return this.#cycle.map(({ path }) => path);
+    }
+}
+
+module.exports = IncludeCycleError;
@@ -0,0 +1,111 @@
+class LiveFileStore {
+    #files = {};
+    #keys = new Map();
+    #statistics = {
+        created: 0,
+        shared: 0,
+    };
+
+    #methods = {
+        logger: (message) => {},
+        recalibrate: (file, path) => {},
+        error: (file, path, error, hierarchy) => {},
+        change: (file, event) => {},
+    };
+
+    /**
+     * Returns the live file stored under provided key and creates it with provided method if none exists.
+     * Every call must be paired with a release() call once the live file is no longer included.
+     * Events of created live files are passed to the handlers of this store along with the emitting live file.
+     *
+     * @param {String} key Absolute path of the file prefixed by its loader name for assets
+     * @param {Function} create () => NestedLiveFile
+     * @returns {NestedLiveFile} NestedLiveFile
+     */
+    acquire(key, create) {
+        let record = this.#files[key];
+        if (record == undefined) {
+            let file = create();
+            record = this.#files[key] = {
+                file: file,
+                references: 0,
+            };
+            this.#keys.set(file, key);
+            this.#statistics.created++;
+
+            // Bind passthrough handlers for the created live file
+            let reference = this;
+            file.handle('logger', (message) =>
+                reference.#methods.logger(message)
+            );
+            ['recalibrate', 'error', 'change'].forEach((type) =>
+                file.handle(type, (...args) =>
+                    reference.#methods[type](file, ...args)
+                )
+            );
+        } else {
+            this.#statistics.shared++;
+        }
+
+        record.references++;
+        return record.file;
+    }
+
+    /**
+     * Releases a reference of provided live file and destroys it once no references remain.
+     *
+     * @param {NestedLiveFile} file
+     */
+    release(file) {
+        let key = this.#keys.get(file);
+        let record = this.#files[key];
+        if (record == undefined) return;
+
+        record.references--;
+        if (record.references < 1) {
+            delete this.#files[key];
+            this.#keys.delete(file);
+            file.destroy();
+        }
+    }
+
+    /**
+     * Returns the live file stored under provided key.
+     *
+     * @param {String} key
+     * @returns {NestedLiveFile} NestedLiveFile OR undefined
+     */
+    get(key) {
+        let record = this.#files[key];
+        if (record) return record.file;
+    }
+
+    /**
+     * INTERNAL METHOD
+     * Binds handler for specified type event.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        if (this.#methods[type] == undefined)
+            throw new Error(`${type} event is not supported on LiveFileStore.`);
+
+        this.#methods[type] = handler;
+    }
+
+    /* LiveFileStore Getters */
+    get files() {
+        return Object.keys(this.#files).length;
+    }
+
+    get created() {
+        return this.#statistics.created;
+    }
+
+    get shared() {
+        return this.#statistics.shared;
+    }
+}
+
+module.exports = LiveFileStore;
@@ -0,0 +1,251 @@
+const FileSystem = require('fs');
+const Path = require('path');
+const { file_loader } = require('../shared/loaders.js');
+const {
+    REQUIRE_FUNCTION,
+    MODULE_FUNCTION,
+    require_call,
+    find_require_calls,
+    resolve_module,
+} = require('../shared/modules.js');
+
+class ModuleRegistry {
+    #modules = {};
+    #externals;
+    #loaders;
+    #watcher_pool;
+    #handlers = {
+        error: (path, error) => {},
+        change: (path) => {},
+    };
+
+    constructor({ externals = [], loaders = {}, watcher_pool = null }) {
+        this.#externals = externals;
+        this.#loaders = loaders;
+        this.#watcher_pool = watcher_pool;
+    }
+
+    /**
+     * Binds handler for specified type event.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        if (this.#handlers[type] == undefined)
+            throw new Error(
+                `${type} event is not supported on ModuleRegistry.`
+            );
+
+        this.#handlers[type] = handler;
+    }
+
+    /**
+     * This method can be used to destroy all loaded modules and their watchers.
+     */
+    destroy() {
+        let reference = this;
+        Object.keys(this.#modules).forEach((path) => reference._unload(path));
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Removes provided module from the registry and unwatches its file.
+     *
+     * @param {String} path
+     */
+    _unload(path) {
+        let module = this.#modules[path];
+        if (module == undefined) return;
+        if (module.watcher_id !== undefined)
+            this.#watcher_pool.unwatch(path, module.watcher_id);
+        delete this.#modules[path];
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Reads provided module synchronously and replaces its require() calls of bundled modules with registry calls.
+     * Modules are read synchronously as they are collected while compiled output is composed.
+     * Modules with a literal loader export their literal while modules with a code loader are converted first.
+     * Modules outside of node_modules are watched and unloaded on changes so they are read again on the next compile.
+     *
+     * @param {String} path
+     * @returns {Object} Object -> { path, lines, requires }
+     */
+    _load(path) {
+        let reference = this;
+        let module = {
+            path: path,
+            lines: [],
+            requires: [],
+        };
+        this.#modules[path] = module;
+
+        let content;
+        try {
+            if (path.endsWith('.node'))
+                throw new Error(
+                    `Native addon ${path} can not be bundled and must be marked as an external`
+                );
+            let loader = file_loader(path, this.#loaders);
+            let context = {
+                path: Path.resolve(path),
+                hierarchy: [Path.resolve(path)],
+            };
+            content = FileSystem.readFileSync(path, {
+                encoding: loader.encoding,
+            });
+            if (loader.literal) {
+                content = `module.exports = ${loader.literal(
+                    content,
+                    context
+                )};`;
+            } else if (loader.code) {
+                content = loader.code(content, context);
+            }
+        } catch (error) {
+            this.#handlers.error(path, error);
+            return module;
+        }
+
+        // Empty hashbang lines of executable modules as they are only valid at the beginning of a file
+        if (content.startsWith('#!')) content = content.replace(/^#!.*/, '');
+
+        // Replace require() calls from the last to the first so earlier offsets remain valid
+        // Line breaks within a replaced call are kept to preserve line positions
+        let directory = Path.dirname(path);
+        find_require_calls(content)
+            .reverse()
+            .forEach((call) => {
+                let resolved;
+                try {
+                    resolved = resolve_module(
+                        call.request,
+                        directory,
+                        reference.#externals
+                    );
+                } catch (error) {
+                    return reference.#handlers.error(
+                        path,
+                        new Error(
+                            `Cannot resolve module ${call.request} required at ${path}:${call.line}`
+                        )
+                    );
+                }
+
+                if (resolved === null) return;
+                if (!module.requires.includes(resolved))
+                    module.requires.unshift(resolved);
+                content =
+                    content.substring(0, call.start) +
+                    require_call(resolved) +
+                    '\n'.repeat(call.end_line - call.line) +
+                    content.substring(call.end);
+            });
+        module.lines = content.split('\n');
+
+        // Watch local modules as packages within node_modules rarely change during development
+        if (this.#watcher_pool && path.split('/').indexOf('node_modules') == -1)
+            module.watcher_id = this.#watcher_pool.watch(path, () => {
+                reference._unload(path);
+                reference.#handlers.change(path);
+            });
+
+        return module;
+    }
+
+    /**
+     * Collects provided modules and all modules they require in a stable discovery order.
+     *
+     * @param {Array} paths
+     * @returns {Array} Array
+     */
+    collect(paths) {
+        let modules = [];
+        let visited = {};
+        let queue = paths.slice();
+        while (queue.length > 0) {
+            let path = queue.shift();
+            if (visited[path]) continue;
+            visited[path] = true;
+
+            let module = this.#modules[path] || this._load(path);
+            modules.push(module);
+            queue.push(...module.requires);
+        }
+
+        return modules;
+    }
+
+    /**
+     * Builds the module registry chunks which are appended to compiled output.
+     * Registry functions are declared so they are hoisted and available to code before them.
+     * Every module is wrapped in boundary comments so its lines map back to the module file.
+     *
+     * @param {Array} modules
+     * @returns {Object} Object
+     */
+    chunks(modules) {
+        let content = [
+            `//_ START_MODULES | ${modules.length} MODULES _//`,
+            `function ${REQUIRE_FUNCTION}(id) {`,
+            `    const cache = ${REQUIRE_FUNCTION}.cache || (${REQUIRE_FUNCTION}.cache = {});`,
+            '    if (cache[id] === undefined) {',
+            '        const module = (cache[id] = { id: id, exports: {}, loaded: false });',
+            `        ${MODULE_FUNCTION}(id).call(module.exports, module, module.exports);`,
+            '        module.loaded = true;',
+            '    }',
+            '    return cache[id].exports;',
+            '}',
+            `function ${MODULE_FUNCTION}(id) {`,
+            '    switch (id) {',
+        ];
+
+        modules.forEach(({ path, lines }) => {
+            let name = Path.basename(path);
+            let count = lines.length + 2;
+            content.push({
+                path: path,
+                line: 1,
+                spacing: 8,
+                content: [
+                    `case ${JSON.stringify(
+                        path
+                    )}: return function (module, exports) {`,
+                    {
+                        path: path,
+                        line: 1,
+                        spacing: 4,
+                        content: [
+                            `//_ START_FILE | ${name} | ${path} | ${count} LINES _//`,
+                            ...lines,
+                            `//_ END_FILE | ${name} | ${path} | ${count} LINES _//`,
+                        ],
+                    },
+                    '};',
+                ],
+            });
+        });
+
+        content.push(
+            '    }',
+            "    throw new Error(`Cannot find module '${id}'`);",
+            '}',
+            `//_ END_MODULES | ${modules.length} MODULES _//`
+        );
+
+        return {
+            path: null,
+            line: 1,
+            spacing: 0,
+            content: content,
+        };
+    }
+
+    /* ModuleRegistry Getters */
+    get modules() {
+        return Object.keys(this.#modules);
+    }
+}
+
+module.exports = ModuleRegistry;
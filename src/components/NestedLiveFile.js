@@ -1,10 +1,37 @@
+const Path = require('path');
 const FileSystem = require('fs');
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+const FILLER_REGEX = /^[\s;]*$/;
+const INCLUDE_TYPES = {
+    inline_include: 'inline',
+    scoped_include: 'scoped',
+    once_include: 'once',
+    text_include: 'text',
+    json_include: 'json',
+    base64_include: 'base64',
+};
 const {
     path_to_chunks,
     chunks_to_path,
     copy_array,
+    repeat_character,
     absolute_file_path,
+    is_pattern,
+    pattern_to_regex,
 } = require('../shared/operators.js');
+const IncludeCycleError = require('./IncludeCycleError.js');
+const { LOADERS, file_loader } = require('../shared/loaders.js');
+const { apply_transforms } = require('../shared/transforms.js');
+const { tokenize, string_value } = require('../shared/tokenizer.js');
+const {
+    require_call,
+    find_require_calls,
+    resolve_module,
+} = require('../shared/modules.js');
+const {
+    strip_conditionals,
+    substitute_defines,
+} = require('../shared/directives.js');
 
 class NestedLiveFile {
     #hierarchy;
@@ -12,30 +39,59 @@ class NestedLiveFile {
     #file_name;
     #path;
     #tags;
+    #options;
     #content = '';
+    #line_map = null;
+    #asset;
+    #loader;
+    #literal = 'undefined';
     #watcher_id;
     #watcher_pool;
+    #reader;
+    #store;
+    #loaded = false;
     #initialized = false;
-    #forbidden = [];
+    #ancestry = [];
+    #parents = new Set();
     #file_store = {};
+    #pointers = {};
     #nested_pointers = [];
+    #include_calls = {};
+    #cache = {
+        chunks: null,
+        loaded: false,
+    };
+    #requires = {};
+    #directory_watchers = {};
     #handlers = {
         logger: (message) => {},
-        recalibrate: () => {},
-        error: (error) => {},
+        recalibrate: (path) => {},
+        error: (path, error, hierarchy) => {},
+        change: (event) => {},
     };
 
     constructor({
         path,
         tags,
+        options = {},
         watcher_pool,
-        forbidden = [],
+        reader = null,
+        store,
+        asset = null,
+        ancestry = [],
         hierarchy = null,
     }) {
         // Store constructor data
+        // Asset live files are inlined as literals by their loader and never parsed for include calls
+        // Other live files are converted to JavaScript by the code loader of their extension if there is one
         this.#path = path;
+        this.#asset = asset;
         this.#tags = tags;
+        this.#options = options;
+        this.#loader = asset || file_loader(path, options.loaders || {});
         this.#watcher_pool = watcher_pool;
+        this.#reader = reader;
+        this.#store = store;
 
         // Parse directory path from file path
         this.#directory_path = path_to_chunks(path);
@@ -43,9 +99,8 @@ class NestedLiveFile {
         this.#directory_path.pop();
         this.#directory_path = chunks_to_path(this.#directory_path);
 
-        // Duplicate forbidden files array to pass down to nested files
-        this.#forbidden = copy_array(forbidden);
-        this.#forbidden.push(this.#path);
+        // Store ancestor files with their include lines of the first include chain which reached this file
+        this.#ancestry = copy_array(ancestry);
 
         // Initiate watcher and perform initial reload/recalibration
         this._init_watcher();
@@ -78,14 +133,32 @@ class NestedLiveFile {
     destroy() {
         let reference = this;
         this._log(`DESTROYED -> ${this.#hierarchy}`);
-        this.#watcher_pool.unwatch(this.#path, this.#watcher_id);
+        if (this.#watcher_pool)
+            this.#watcher_pool.unwatch(this.#path, this.#watcher_id);
 
-        // Clean up pointers & nested files
+        // Clean up directory watchers of pattern includes
+        this._watch_directories([]);
+
+        // Clean up pointers & release nested files which are destroyed once no other file includes them
         this.#nested_pointers = [];
-        Object.keys(this.#file_store).forEach((path) => {
-            reference.#file_store[path].destroy();
-            delete reference.#file_store[path];
+        this.#pointers = {};
+        Object.keys(this.#file_store).forEach((store) =>
+            reference._release(store)
+        );
+    }
+
+    /**
+     * Returns whether provided live file is current live file or one of its nested files.
+     *
+     * @param {NestedLiveFile} file
+     * @returns {Boolean} Boolean
+     */
+    includes(file) {
+        let included = false;
+        this._traverse((nested_file) => {
+            if (nested_file === file) included = true;
         });
+        return included;
     }
 
     /**
@@ -98,23 +171,112 @@ class NestedLiveFile {
         return this.#handlers.logger(message);
     }
 
+    /**
+     * INTERNAL METHOD!
+     * Reports provided error of current live file through the error handler along with its hierarchy.
+     *
+     * @param {Error} error
+     */
+    _error(error) {
+        return this.#handlers.error(this.#path, error, this._hierarchy());
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Reports detected changes of current live file through the logger and change handlers.
+     */
+    _changed() {
+        this._log(`DETECTED_CHANGES -> ${this.#hierarchy}`);
+        this.#handlers.change({
+            path: Path.resolve(this.#path),
+            hierarchy: this._hierarchy(),
+            time: Date.now(),
+        });
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns absolute paths of the files which include current live file from the root file down to itself.
+     *
+     * @returns {Array} Array
+     */
+    _hierarchy() {
+        return this.#ancestry
+            .map(({ path }) => Path.resolve(path))
+            .concat(Path.resolve(this.#path));
+    }
+
     /**
      * INTERNAL METHOD!
      * This method initiates the FileWatcher used for current live file.
      * Stores watcher id in private variable.
+     * Missing files are also watched so they are read again once they are created.
+     * No watcher is created for live files without a watcher pool such as one-shot builds.
      */
     _init_watcher() {
         let reference = this;
-        FileSystem.access(this.#path, (error) => {
-            // Throw error over passthrough handler
-            if (error) return reference.#handlers.error(reference.#path, error);
-
-            // Create watcher once path has been verified
-            reference.#watcher_id = this.#watcher_pool.watch(
-                reference.#path,
-                (e, f) => reference._reload_content()
-            );
-        });
+        if (this.#watcher_pool == null) return;
+        this.#watcher_id = this.#watcher_pool.watch(this.#path, (e, f) =>
+            reference._reload_content()
+        );
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Reads content of current live file through the shared reader if one was provided.
+     *
+     * @param {Function} callback (error, content) => {}
+     */
+    _read(callback, encoding = 'utf8') {
+        if (this.#reader)
+            return this.#reader.read(this.#path, callback, encoding);
+        FileSystem.readFile(this.#path, { encoding: encoding }, callback);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * This method reads/updates the literal of current asset live file.
+     * Assets which fail to read or convert are inlined as undefined.
+     */
+    _reload_asset() {
+        let reference = this;
+        let { name, encoding, literal } = this.#asset;
+        this._read((error, content) => {
+            let path = reference.#path;
+            reference.#loaded = true;
+            reference.#literal = 'undefined';
+            if (error) {
+                reference._log(`READ_ERROR -> ${reference.#hierarchy}`);
+                reference._error(error);
+                reference._invalidate();
+                return reference.#handlers.recalibrate(Path.resolve(path));
+            }
+
+            try {
+                reference.#literal = literal(content, {
+                    path: Path.resolve(path),
+                    hierarchy: reference._hierarchy(),
+                });
+                if (typeof reference.#literal !== 'string')
+                    throw new Error('loader must return a String literal');
+            } catch (error) {
+                reference.#literal = 'undefined';
+                reference._error(
+                    new Error(
+                        `Failed to inline ${path} as ${name}: ${error.message}`
+                    )
+                );
+            }
+
+            if (!reference.#initialized) {
+                reference.#initialized = true;
+                reference._log(`INITIALIZED -> ${reference.#hierarchy}`);
+            } else {
+                reference._changed();
+            }
+            reference._invalidate();
+            reference.#handlers.recalibrate(Path.resolve(path));
+        }, encoding);
     }
 
     /**
@@ -122,164 +284,540 @@ class NestedLiveFile {
      * This method reads/updates content for current live file.
      */
     _reload_content(recalibrate = true) {
+        if (this.#asset !== null) return this._reload_asset();
+
         let reference = this;
-        FileSystem.readFile(
-            this.#path,
-            {
-                encoding: 'utf8',
-            },
-            (error, content) => {
-                // Determine file attributes and boundary comments
-                let path = reference.#path;
-                let file_name = reference.#file_name;
-
-                // Report error through error handler
-                if (error) {
-                    this.#content = `//_ INVALID_FILE | ${file_name} | ${path} _//\n`;
-                    return reference._log(
-                        `READ_ERROR -> ${reference.#hierarchy}`
+        let loader = this.#loader;
+        this._read((error, content) => {
+            // Determine file attributes and boundary comments
+            let path = reference.#path;
+            let file_name = reference.#file_name;
+
+            // Report error through error handler
+            if (error) {
+                reference.#loaded = true;
+                reference.#line_map = null;
+                reference.#content = `//_ INVALID_FILE | ${file_name} | ${path} _//\n`;
+                reference._log(`READ_ERROR -> ${reference.#hierarchy}`);
+                reference._error(error);
+                reference._invalidate();
+                return reference.#handlers.recalibrate(Path.resolve(path));
+            }
+
+            // Strip inactive conditional compilation blocks before include calls are parsed
+            let defines = reference.#options.defines;
+            let stripped = strip_conditionals(content, defines);
+            stripped.errors.forEach((error) => reference._error(error));
+
+            // Substitute compile-time constants without changing line positions
+            content = substitute_defines(stripped.content, defines);
+
+            // Convert content with the code loader and apply user transforms afterwards
+            // Original lines of every converted line are tracked and steps which fail are skipped
+            let line_map = null;
+            let context = {
+                path: Path.resolve(path),
+                hierarchy: reference._hierarchy(),
+            };
+            let steps = [
+                {
+                    transforms: loader.code ? [loader.code] : [],
+                    failure: `Failed to load ${path} with ${loader.name} loader`,
+                },
+                {
+                    transforms: reference.#options.transforms || [],
+                    failure: `Failed to transform ${path}`,
+                },
+            ];
+            steps.forEach(({ transforms, failure }) => {
+                if (transforms.length == 0) return;
+                try {
+                    let transformed = apply_transforms(
+                        content,
+                        transforms,
+                        context,
+                        line_map
                     );
+                    content = transformed.source;
+                    line_map = transformed.lines;
+                } catch (error) {
+                    reference._error(new Error(`${failure}: ${error.message}`));
                 }
+            });
 
-                // Update content and trigger reload event
-                let lines = ((content || '').match(/\n/g) || []).length + 3;
-                let start_comment = `//_ START_FILE | ${file_name} | ${path} | ${lines} LINES _//\n`;
-                let end_comment = `\n//_ END_FILE | ${file_name} | ${path} | ${lines} LINES _//`;
-                reference.#content = start_comment + content + end_comment;
+            // Content lines are offset by the start boundary comment which precedes the original content
+            reference.#line_map =
+                line_map === null ? null : [0].concat(line_map);
 
-                // Trigger chunk recalibration if specified by reload call parameter
-                if (recalibrate) reference._recalibrate();
-            }
-        );
+            // Update content and trigger reload event
+            let lines = ((content || '').match(/\n/g) || []).length + 3;
+            let start_comment = `//_ START_FILE | ${file_name} | ${path} | ${lines} LINES _//\n`;
+            let end_comment = `\n//_ END_FILE | ${file_name} | ${path} | ${lines} LINES _//`;
+            reference.#content = start_comment + content + end_comment;
+            reference.#loaded = true;
+
+            // Trigger chunk recalibration if specified by reload call parameter
+            if (recalibrate) reference._recalibrate();
+        }, loader.encoding);
     }
 
     /**
-     * Returns whether provided char is a valid function syntax char
+     * INTERNAL METHOD!
+     * Returns the original file line of provided content line.
+     * Content lines are offset by the start boundary comment and may have been moved by transforms.
      *
-     * @param {String} char
-     * @returns {Boolean} Boolean
+     * @param {Number} line
+     * @returns {Number} Number
      */
-    _valid_func_char(char) {
-        return (
-            'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_.'.indexOf(
-                char
-            ) > -1
-        );
+    _original_line(line) {
+        if (this.#line_map === null) return line - 1;
+        return this.#line_map[line - 1];
     }
 
     /**
      * INTERNAL METHOD!
-     * Parses file path from a given string containing syntax wrap characters.
+     * Parses file path from a given include call path argument.
      *
-     * @param {String} content
+     * @param {String} file_path
      * @returns {String} String
      */
-    _parse_file_path(content) {
-        let file_path = content.split(')')[0];
-
-        // Filter file_path to remove string containing characters
-        let filter_chars = ["'", '"', '`'];
-        file_path = file_path
-            .split('')
-            .filter((char) => !filter_chars.includes(char))
-            .join('');
+    _parse_file_path(file_path) {
+        // Treat directory includes as a pattern for all javascript files in directory
+        if (file_path.endsWith('/')) file_path += '*.js';
 
         return chunks_to_path(path_to_chunks(file_path));
     }
 
     /**
      * INTERNAL METHOD!
-     * This method returns the content before first newline occurence.
-     * specifying left to true/false can be used to control direction.
+     * Expands provided glob pattern into matching file paths in a stable sorted order.
+     * Directories which were traversed are also returned so they can be watched for new or deleted files.
+     * A base directory which can not be read is returned as the error.
+     *
+     * @param {String} pattern
+     * @returns {Object} Object -> { files: Array, directories: Array, error: Error }
+     */
+    _expand_pattern(pattern) {
+        // Split pattern into a static base directory and the remaining pattern
+        let chunks = path_to_chunks(pattern);
+        let index = chunks.findIndex((chunk) => is_pattern(chunk));
+        let base = chunks_to_path(chunks.slice(0, index));
+        let remaining = chunks.slice(index).join('/');
+        let regex = pattern_to_regex(remaining);
+        let recursive = remaining.indexOf('**') > -1;
+        let depth = chunks.length - index;
+
+        // Traverse directories synchronously as include calls are parsed synchronously
+        // A missing base directory is reported and still watched so its files are included once it appears
+        let files = [];
+        let directories = [];
+        let failure = null;
+        let traverse = (directory, relative, level) => {
+            let entries;
+            try {
+                entries = FileSystem.readdirSync(directory, {
+                    withFileTypes: true,
+                });
+            } catch (error) {
+                if (level == 0) {
+                    failure = error;
+                    directories.push(directory);
+                }
+                return;
+            }
+
+            directories.push(directory);
+            entries.forEach((entry) => {
+                // Ignore hidden files and directories
+                if (entry.name.startsWith('.')) return;
+
+                let entry_path = directory + '/' + entry.name;
+                let entry_relative = relative + entry.name;
+                if (entry.isDirectory()) {
+                    if (recursive || level + 1 < depth)
+                        traverse(entry_path, entry_relative + '/', level + 1);
+                } else if (regex.test(entry_relative)) {
+                    files.push(entry_path);
+                }
+            });
+        };
+        traverse(base, '', 0);
+
+        return {
+            files: files.sort(),
+            directories: directories,
+            error: failure,
+        };
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Watches provided directories for pattern includes and unwatches directories no longer needed.
+     *
+     * @param {Array} directories
+     */
+    _watch_directories(directories) {
+        let reference = this;
+        let pool = this.#watcher_pool;
+        let watchers = this.#directory_watchers;
+        if (pool == null) return;
+
+        // Unwatch directories which are no longer traversed by any pattern
+        Object.keys(watchers).forEach((directory) => {
+            if (!directories.includes(directory)) {
+                pool.unwatch(directory, watchers[directory]);
+                delete watchers[directory];
+            }
+        });
+
+        // Watch new directories and recalibrate when files are created or deleted
+        directories.forEach((directory) => {
+            if (watchers[directory] == undefined)
+                watchers[directory] = pool.watch(directory, (event) => {
+                    if (event == 'rename') reference._recalibrate();
+                });
+        });
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Finds include calls of every supported include tag in file content with a tokenizer pass.
+     * Calls inside comments, strings, template literals and regular expressions are never matched.
+     * Property accesses such as object.include() and declarations such as function include() are ignored.
+     *
+     * @returns {Array} Array
+     */
+    _find_include_calls() {
+        let reference = this;
+        let tags = {};
+        Object.keys(INCLUDE_TYPES).forEach(
+            (tag) => (tags[reference.#tags[tag]] = INCLUDE_TYPES[tag])
+        );
+
+        // Comments are irrelevant to call detection and can be dropped from tokens
+        let tokens = tokenize(this.#content).filter(
+            (token) => token.type !== 'comment'
+        );
+
+        let calls = [];
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            let type = tags[token.value];
+            if (token.type !== 'identifier' || type == undefined) continue;
+
+            // Ensure identifier is a standalone call of an include tag
+            let previous = tokens[i - 1] || {};
+            let opening = tokens[i + 1] || {};
+            if (['.', '?.', 'function'].includes(previous.value)) continue;
+            if (opening.type !== 'punctuator' || opening.value !== '(')
+                continue;
+
+            // Collect literal arguments until the closing parenthesis
+            // Array brackets are flattened so ['a', 'b'] and 'a', 'b' produce the same arguments
+            let args = [];
+            let closing;
+            let cursor = i + 2;
+            for (; cursor < tokens.length; cursor++) {
+                let current = tokens[cursor];
+                let value = string_value(current);
+                if (current.value == ')') {
+                    closing = current;
+                    break;
+                } else if (value !== undefined) {
+                    args.push(value);
+                } else if (![',', '[', ']'].includes(current.value)) {
+                    break;
+                }
+            }
+
+            // Calls with non literal arguments can not be resolved at compile time
+            if (closing == undefined || args.length == 0 || args[0].length == 0)
+                continue;
+
+            calls.push({
+                line: token.line,
+                column: token.column,
+                end_line: closing.end_line,
+                end_column: closing.end_column,
+                path: this._parse_file_path(args[0]),
+                args: args.slice(1),
+                type: type,
+            });
+            i = cursor;
+        }
+
+        return calls;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the file store key of provided path for the specified asset loader.
+     * Assets are stored separately from regular nested files as the same path may be included as both.
      *
-     * @param {String} content
-     * @param {Boolean} left
+     * @param {String} path
+     * @param {Object} loader
      * @returns {String} String
      */
-    _from_newline(content, left = true) {
-        content = content.split('\n');
-        if (left) {
-            return content[content.length - 1];
-        } else {
-            return content[0];
+    _store_key(path, loader) {
+        return loader == null ? path : loader.name + ':' + path;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Releases the nested file stored under provided file store key from current live file.
+     *
+     * @param {String} store
+     */
+    _release(store) {
+        let nested_file = this.#file_store[store];
+        delete this.#file_store[store];
+        delete this.#pointers[store];
+        nested_file.#parents.delete(this);
+        this.#store.release(nested_file);
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the include chain from current live file down to the live file of provided path.
+     * Live files are shared by every file which includes them so the chain may pass through any including file.
+     *
+     * @param {String} path
+     * @param {Set} visited
+     * @returns {Array} Array -> [{ path, line }] OR null when the path is not included by current live file
+     */
+    _chain(path, visited = new Set()) {
+        if (Path.resolve(this.#path) === Path.resolve(path)) return [];
+        if (visited.has(this)) return null;
+        visited.add(this);
+
+        // Asset files are never parsed for include calls so they are skipped
+        for (let pointer of this.#nested_pointers) {
+            if (pointer.store !== pointer.path) continue;
+            let chain = this.#file_store[pointer.store]._chain(path, visited);
+            if (chain !== null)
+                return [
+                    {
+                        path: this.#path,
+                        line: this._original_line(pointer.line),
+                    },
+                ].concat(chain);
         }
+        return null;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the include chain which including provided path from current live file would close into a loop.
+     * Including a file forms a loop when it is current live file or it already includes current live file.
+     *
+     * @param {String} path
+     * @returns {Array} Array -> [{ path, line }] OR null when including the path forms no loop
+     */
+    _cycle(path) {
+        if (Path.resolve(this.#path) === Path.resolve(path)) return [];
+        let file = this.#store.get(Path.resolve(path));
+        return file ? file._chain(this.#path) : null;
     }
 
     /**
      * Retrieves nested files from include calls in file content.
+     * Include calls are keyed by their line:column position so a single line may hold multiple calls.
      *
      * @returns {Object} Object
      */
     _get_included_files() {
+        let reference = this;
+        let lines = this.#content.split('\n');
         let files = {};
         let paths = {};
+        let calls = {};
+        let directories = [];
 
-        // Splits content into chunks based on "include(" prefix to detect possible calls
-        let include_tag = this.#tags.inline_include;
-        let chunks = this.#content.split(include_tag + '(');
-
-        // Iterate through all potential chunks to find nested files
-        let line_offset = 0;
-        for (let i = 0; i < chunks.length; i++) {
-            let current = chunks[i];
-            let left = chunks[i - 1];
-            let lines_count = ((left || '').match(/\n/g) || []).length + 1;
-            let line_position = line_offset + lines_count;
-
-            // Ensure a valid include call with a closure exists
-            if (left && current.indexOf(')') > -1) {
-                // Derive last character before call initiation to ensure no alphanumeric character preceeds it
-                let last_left_char = left[left.length - 1];
-                let valid_last_char = this._valid_func_char(last_left_char);
-
-                // Derive potential file path of the include call
-                let file_path = this._parse_file_path(current);
-                if (!valid_last_char && file_path.length > 0) {
-                    let left_content = this._from_newline(left, true);
-
-                    // Determine if include call is commented in code
-                    let single_commment = left_content.indexOf('//') > -1;
-                    let multi_left = left_content.indexOf('/*') > -1;
-                    let multi_right = left_content.indexOf('*/') == -1;
-                    let multi_comment = multi_left && multi_right;
-
-                    // Proceed if the call is not commented in code
-                    if (!single_commment && !multi_comment) {
-                        // Determine absolute system path for FileSystem APIs
-                        let absolute_path = absolute_file_path(
-                            file_path,
-                            this.#directory_path
-                        );
-
-                        // Ensure the absolute path is not forbidden to prevent infinite nesting
-                        if (!this.#forbidden.includes(absolute_path)) {
-                            let spacing = left_content.length;
-
-                            // Store references by line position to representing pointers
-                            paths[absolute_path] = true;
-                            files[line_position] = {
-                                path: absolute_path,
-                                spacing: spacing,
-                            };
-                        } else {
-                            // Report infinite inclusion loops through error handler when absolute path matches a forbidden path
-                            this.#handlers.error(
-                                this.#path,
-                                new Error(
-                                    `Potential infinite inclusion loop detected at ${absolute_path}:${line_position}`
-                                )
-                            );
-                        }
-                    }
-                }
+        this._find_include_calls().forEach((call) => {
+            let { line, column, path: file_path, type, args } = call;
+            let key = `${line}:${column}`;
+
+            // Content lines are offset by the start boundary comment and transforms which changed lines
+            let original_line = reference._original_line(line);
+
+            // Nested content is indented to match the indentation of the include line
+            let spacing = lines[line - 1].match(/^\s*/)[0].length;
+
+            // Determine absolute system path for FileSystem APIs
+            let absolute_path = absolute_file_path(
+                file_path,
+                reference.#directory_path
+            );
+
+            // Scoped includes may expose selected top level bindings to the parent
+            let exports = type == 'scoped' ? args : [];
+            let invalid = exports.find((name) => !IDENTIFIER_REGEX.test(name));
+            if (invalid !== undefined)
+                return reference._error(
+                    new Error(
+                        `Invalid exposed name ${invalid} in scoped include at ${
+                            reference.#path
+                        }:${original_line}`
+                    )
+                );
+
+            // Asset includes and files with a literal loader are inlined as literals within their line
+            // Assets can never form inclusion loops as they are never parsed for include calls
+            let loaders = reference.#options.loaders || {};
+            let loader = null;
+            let cycle;
+            if (LOADERS[type] !== undefined && LOADERS[type].literal) {
+                loader = Object.assign({ name: type }, LOADERS[type]);
+            } else if (!is_pattern(absolute_path)) {
+                let extension_loader = file_loader(absolute_path, loaders);
+                if (extension_loader.literal) loader = extension_loader;
             }
 
-            if (left) line_offset += lines_count - 1;
-        }
+            if (loader !== null) {
+                if (is_pattern(absolute_path))
+                    return reference._error(
+                        new Error(
+                            `Pattern includes are not supported by ${
+                                reference.#tags[type + '_include']
+                            } at ${reference.#path}:${original_line}`
+                        )
+                    );
+
+                let store = reference._store_key(absolute_path, loader);
+                paths[store] = true;
+                calls[key] = {
+                    line: line,
+                    column: column,
+                    end_line: call.end_line,
+                    end_column: call.end_column,
+                    spacing: spacing,
+                    inline: true,
+                };
+                files[key] = {
+                    call: key,
+                    line: line,
+                    column: column,
+                    path: absolute_path,
+                    store: store,
+                    spacing: spacing,
+                    group: false,
+                    type: type,
+                    exports: exports,
+                    loader: loader,
+                };
+            } else if (is_pattern(absolute_path)) {
+                // Expand pattern includes into grouped references while silently skipping paths which form loops
+                // Matched files with a literal loader are skipped as patterns only include code
+                let expanded = reference._expand_pattern(absolute_path);
+                if (expanded.error) reference._error(expanded.error);
+                calls[key] = {
+                    line: line,
+                    column: column,
+                    end_line: call.end_line,
+                    end_column: call.end_column,
+                    spacing: spacing,
+                    pattern: absolute_path,
+                };
+                expanded.files
+                    .filter(
+                        (path) =>
+                            reference._cycle(path) === null &&
+                            !file_loader(path, loaders).literal
+                    )
+                    .forEach((path, index) => {
+                        paths[path] = true;
+                        files[`${key}:${index}`] = {
+                            call: key,
+                            line: line,
+                            column: column,
+                            path: path,
+                            store: path,
+                            spacing: 0,
+                            group: true,
+                            type: type,
+                            exports: exports,
+                        };
+                    });
+                directories.push(...expanded.directories);
+            } else if ((cycle = reference._cycle(absolute_path)) === null) {
+                // Ensure including the absolute path forms no loop to prevent infinite nesting
+                // Store references by call position to representing pointers
+                paths[absolute_path] = true;
+                calls[key] = {
+                    line: line,
+                    column: column,
+                    end_line: call.end_line,
+                    end_column: call.end_column,
+                    spacing: spacing,
+                };
+                files[key] = {
+                    call: key,
+                    line: line,
+                    column: column,
+                    path: absolute_path,
+                    store: absolute_path,
+                    spacing: spacing,
+                    group: false,
+                    type: type,
+                    exports: exports,
+                };
+            } else {
+                // Report infinite inclusion loops through error handler when including the absolute path forms a loop
+                // The cycle starts at the file which is included again and ends with current file
+                reference._error(
+                    new IncludeCycleError(
+                        cycle.concat({
+                            path: reference.#path,
+                            line: original_line,
+                        })
+                    )
+                );
+            }
+        });
+
+        // Replace require() calls of bundled modules with registry calls within their line
+        let requires = {};
+        if (this.#options.bundle === true)
+            find_require_calls(this.#content).forEach((call) => {
+                let { line, column } = call;
+                let key = `${line}:${column}`;
+                let resolved;
+                try {
+                    resolved = resolve_module(
+                        call.request,
+                        reference.#directory_path,
+                        reference.#options.externals
+                    );
+                } catch (error) {
+                    return reference._error(
+                        new Error(
+                            `Cannot resolve module ${
+                                call.request
+                            } required at ${
+                                reference.#path
+                            }:${reference._original_line(line)}`
+                        )
+                    );
+                }
+
+                if (resolved === null) return;
+                requires[key] = resolved;
+                calls[key] = {
+                    line: line,
+                    column: column,
+                    end_line: call.end_line,
+                    end_column: call.end_column,
+                    spacing: 0,
+                    inline: true,
+                };
+            });
 
         return {
             files: files,
             paths: paths,
+            calls: calls,
+            requires: requires,
+            directories: directories,
         };
     }
 
@@ -294,140 +832,480 @@ class NestedLiveFile {
         let included_files = nested_data.files;
         let included_paths = nested_data.paths;
 
+        // Store include call positions and watch directories traversed by pattern includes
+        this.#include_calls = nested_data.calls;
+        this.#requires = nested_data.requires;
+        this._watch_directories(nested_data.directories);
+
         // Remove old file pointers and references
         let current_pointers = {};
         this.#nested_pointers = this.#nested_pointers.filter((pointer) => {
             let verdict = true;
             let path = pointer.path;
-            let line_position = pointer.line;
-            let nested_file = reference.#file_store[path];
+            let store = pointer.store;
+            let key = pointer.key;
 
-            let position_check = included_files[line_position];
+            let position_check = included_files[key];
 
-            // Check whether a valid include call with matching exists at line position
-            if (position_check == undefined || position_check.path !== path)
+            // Check whether a valid include call with matching path and type exists at line position
+            if (
+                position_check == undefined ||
+                position_check.path !== path ||
+                position_check.type !== pointer.type ||
+                position_check.exports.join(',') !== pointer.exports.join(',')
+            )
                 verdict = false;
 
-            // Decrease nested_file pointers to keep track of whether this nested file is still needed
+            // Decrease nested file pointers to keep track of whether this nested file is still needed
             if (!verdict) {
-                nested_file.pointers--;
+                reference.#pointers[store]--;
 
-                // Destroy nested file if it has no dependent pointers and the path is no longer included in nested data
-                if (nested_file.pointers < 1 && !included_paths[path]) {
-                    nested_file.destroy();
-                    delete reference.#file_store[path];
-                }
+                // Release nested file if it has no dependent pointers and the path is no longer included in nested data
+                if (reference.#pointers[store] < 1 && !included_paths[store])
+                    reference._release(store);
             }
 
             // Store current pointers in object faster referencing in next loop
-            if (verdict) current_pointers[line_position] = path;
+            if (verdict) current_pointers[key] = path;
 
             return verdict;
         });
 
         // Create new file pointers and references
         let sort_pointers = false;
-        Object.keys(included_files).forEach((line_position) => {
-            let new_pointer = included_files[line_position];
-            let pointer_check = current_pointers[line_position] === undefined;
+        Object.keys(included_files).forEach((key) => {
+            let new_pointer = included_files[key];
+            let pointer_check = current_pointers[key] === undefined;
             if (pointer_check) {
                 let path = new_pointer.path;
+                let store = new_pointer.store;
                 let spacing = new_pointer.spacing;
 
-                // Create new nested file reference in file store if one does not exist
-                if (reference.#file_store[path] == undefined) {
-                    let nested_file = new NestedLiveFile({
-                        path: path,
-                        tags: reference.#tags,
-                        watcher_pool: reference.#watcher_pool,
-                        forbidden: reference.#forbidden,
-                        hierarchy: reference.#hierarchy,
-                    });
-
-                    // Bind passthrough logger
-                    nested_file.handle('logger', (message) =>
-                        this.#handlers.logger(message)
+                // Reference the shared live file of the nested path in file store if none is referenced yet
+                // Live files are shared by every file and entry which includes them and created by the first one
+                if (reference.#file_store[store] == undefined) {
+                    let asset = store == path ? null : new_pointer.loader;
+                    let nested_file = reference.#store.acquire(
+                        reference._store_key(Path.resolve(path), asset),
+                        () =>
+                            new NestedLiveFile({
+                                path: path,
+                                tags: reference.#tags,
+                                options: reference.#options,
+                                watcher_pool: reference.#watcher_pool,
+                                reader: reference.#reader,
+                                store: reference.#store,
+                                asset: asset,
+                                ancestry: reference.#ancestry.concat({
+                                    path: reference.#path,
+                                    line: reference._original_line(
+                                        new_pointer.line
+                                    ),
+                                }),
+                                hierarchy: reference.#hierarchy,
+                            })
                     );
 
-                    // Bind passthrough error handler
-                    nested_file.handle('error', (path, error) =>
-                        reference.#handlers.error(path, error)
-                    );
-
-                    // Bind passthrough recalibrate handler
-                    nested_file.handle('recalibrate', () =>
-                        reference.#handlers.recalibrate()
-                    );
-
-                    // Initiate nested file into file store with 0 pointers
-                    nested_file.pointers = 0;
-                    reference.#file_store[path] = nested_file;
+                    // Track current live file as a parent so changes of the nested file invalidate it
+                    nested_file.#parents.add(reference);
+                    reference.#pointers[store] = 0;
+                    reference.#file_store[store] = nested_file;
                 }
 
                 // Iterate nested file pointers to signify multiple inclusion calls
-                reference.#file_store[path].pointers++;
+                reference.#pointers[store]++;
 
                 // Push pointer to nested pointers and mark for re-sorting
                 sort_pointers = true;
                 reference.#nested_pointers.push({
-                    line: line_position,
+                    key: key,
+                    call: new_pointer.call,
+                    line: new_pointer.line,
+                    column: new_pointer.column,
                     path: path,
+                    store: store,
                     spacing: spacing,
+                    group: new_pointer.group,
+                    type: new_pointer.type,
+                    exports: new_pointer.exports,
                 });
             }
         });
 
-        // Sort pointers from lowest to highest line positions
+        // Sort pointers from lowest to highest call positions and keep pattern matches in sorted order
         if (sort_pointers)
-            this.#nested_pointers.sort((a, b) => a.line - b.line);
+            this.#nested_pointers.sort(
+                (a, b) =>
+                    a.line - b.line ||
+                    a.column - b.column ||
+                    (a.path < b.path ? -1 : 1)
+            );
 
         if (!this.#initialized) {
             this.#initialized = true;
             this._log(`INITIALIZED -> ${this.#hierarchy}`);
         } else {
-            this._log(`DETECTED_CHANGES -> ${this.#hierarchy}`);
+            this._changed();
         }
 
-        this.#handlers.recalibrate();
+        this._invalidate();
+        this.#handlers.recalibrate(Path.resolve(this.#path));
     }
 
-    /* LiveFile Getters */
-    get name() {
-        return this.#file_name;
-    }
+    /**
+     * INTERNAL METHOD!
+     * Wraps nested chunks in an immediately invoked function to isolate top level bindings.
+     * Exposed names are returned from the function and destructured into the parent scope.
+     *
+     * @param {Object} chunks
+     * @param {Object} pointer
+     * @returns {Object} Object
+     */
+    _scope_chunks(chunks, pointer) {
+        let exports = pointer.exports;
+        let names = exports.join(', ');
+        let content = [
+            exports.length > 0 ? `const { ${names} } = (() => {` : '(() => {',
+        ];
 
-    get path() {
-        return this.#path;
+        // Indent nested content inside of the function body
+        chunks.spacing = 4;
+        content.push(chunks);
+        if (exports.length > 0) content.push(`    return { ${names} };`);
+        content.push('})();');
+
+        return {
+            path: chunks.path,
+            line: chunks.line,
+            spacing: pointer.spacing,
+            content: content,
+        };
     }
 
-    get content() {
-        return this.#content;
+    /**
+     * INTERNAL METHOD!
+     * Replaces include calls in provided lines with their replacement chunks.
+     * Lines holding a single include call and no other code are replaced directly while lines with
+     * multiple calls or surrounding code are split into a group of code segments and nested chunks.
+     * Inline calls are replaced by their literal within the code of their line.
+     * Continuation lines of calls spanning multiple lines are emptied to preserve line positions.
+     *
+     * @param {Array} lines
+     * @param {Object} replacements
+     */
+    _splice_calls(lines, replacements) {
+        let calls = this.#include_calls;
+        let source = copy_array(lines);
+
+        // Group include calls by the line they start on
+        let line_calls = {};
+        Object.keys(replacements).forEach((key) => {
+            let call = Object.assign({ key: key }, calls[key]);
+            (line_calls[call.line] = line_calls[call.line] || []).push(call);
+        });
+
+        Object.keys(line_calls).forEach((line_position) => {
+            let current = line_calls[line_position].sort(
+                (a, b) => a.column - b.column
+            );
+            let indentation = repeat_character(' ', current[0].spacing);
+            let segments = [];
+            let text = source[+line_position - 1];
+            let cursor = 0;
+
+            // Code segments which only consist of whitespace and semicolons are dropped
+            // Semicolons terminating a preceding call are dropped as the call is replaced by whole lines
+            let push_code = (code) => {
+                if (segments.length > 0) code = code.replace(/^[\s;]+/, '');
+                if (!FILLER_REGEX.test(code))
+                    segments.push(indentation + code.trim());
+            };
+
+            // Inline calls such as asset includes are replaced by literals within the surrounding code
+            let code = '';
+            let inline = true;
+            current.forEach((call) => {
+                code += text.slice(cursor, call.column);
+                if (call.inline) {
+                    code += replacements[call.key];
+                } else {
+                    inline = false;
+                    push_code(code);
+                    segments.push(replacements[call.key]);
+                    code = '';
+                }
+
+                // Continue with remaining code after the end of the call
+                for (let i = call.line; i < call.end_line; i++) lines[i] = '';
+                text = source[call.end_line - 1];
+                cursor = call.end_column;
+            });
+            code += text.slice(cursor);
+
+            // Lines with only inline calls keep their code untouched
+            if (inline) return (lines[+line_position - 1] = code);
+            push_code(code);
+
+            if (segments.length == 1) {
+                lines[+line_position - 1] = segments[0];
+            } else {
+                lines[+line_position - 1] = {
+                    path: this.#path,
+                    line: +line_position,
+                    spacing: 0,
+                    content: segments,
+                };
+            }
+        });
     }
 
-    get chunks() {
+    /**
+     * INTERNAL METHOD!
+     * Builds chunks for current live file with include calls replaced by nested chunks.
+     * Included paths are shared across the whole traversal so include_once calls can be
+     * dropped when the same file was already included earlier in compiled order.
+     * Included paths are mapped to their inclusion order so paths included within a subtree can be told apart.
+     *
+     * Chunks are cached until current live file or one of its nested files changes.
+     * Cached chunks are reused as long as every include_once decision within the subtree would be the same.
+     *
+     * @param {Map} included
+     * @returns {Object} Object
+     */
+    _build_chunks(included) {
+        // Reuse cached chunks and replay the paths they include when include_once paths have the same state
+        let cache = this.#cache.chunks;
+        if (
+            cache !== null &&
+            Object.keys(cache.once).every(
+                (path) => included.has(path) === cache.once[path]
+            )
+        ) {
+            this._replay_includes(cache, included);
+            return cache.chunks;
+        }
+
         let reference = this;
         let lines = this.#content.split('\n');
+        let calls = this.#include_calls;
+        let include_once = this.#options.include_once === true;
+        let replacements = {};
+        let start = included.size;
+        if (!included.has(this.#path)) included.set(this.#path, start);
+
+        // Store whether include_once paths were included before this subtree as its chunks depend on them
+        let once_state = {};
+        let nested = [];
+        let depend = (path) =>
+            (once_state[path] =
+                included.has(path) && included.get(path) < start);
+
+        // Replace pattern include calls with groups which will contain every matching file
+        Object.keys(calls).forEach((key) => {
+            let { pattern, line, spacing } = calls[key];
+            if (pattern !== undefined)
+                replacements[key] = {
+                    path: pattern,
+                    line: line,
+                    spacing: spacing,
+                    content: [],
+                };
+        });
+
+        // Replace require() calls of bundled modules with registry calls
+        Object.keys(this.#requires).forEach(
+            (key) =>
+                (replacements[key] = require_call(reference.#requires[key]))
+        );
 
         // Replace include calls by reference file's content
         this.#nested_pointers.forEach((pointer) => {
             let path = pointer.path;
-            let line_position = pointer.line;
-            let insert_line = +line_position - 1;
             let spacing = pointer.spacing;
-            let nested_file = reference.#file_store[path];
+            let nested_file = reference.#file_store[pointer.store];
+
+            // Replace asset include calls by the literal of their asset
+            if (pointer.store !== path)
+                return (replacements[pointer.call] = nested_file.literal);
+
+            let once =
+                pointer.type == 'once' ||
+                (pointer.type == 'inline' && include_once);
+            if (once) depend(path);
+
+            // Replace repeated include_once calls with a single line comment to preserve line positions
+            let nested_chunks;
+            if (once && included.has(path)) {
+                nested_chunks = `${repeat_character(
+                    ' ',
+                    spacing
+                )}//_ INCLUDE_ONCE_SKIPPED | ${nested_file.name} | ${path} _//`;
+            } else {
+                // Cached nested chunks are shared so position and spacing are set on a copy
+                nested_chunks = Object.assign(
+                    {},
+                    nested_file._build_chunks(included),
+                    {
+                        line: pointer.line,
+                        spacing: spacing,
+                    }
+                );
+
+                let nested_cache = nested_file.#cache.chunks;
+                Object.keys(nested_cache.once).forEach(depend);
+                nested.push(nested_cache);
 
-            // Create reference for nested file in lines object
-            lines[insert_line] = nested_file.chunks;
-            lines[insert_line].line = +line_position;
-            lines[insert_line].spacing = spacing;
+                // Wrap scoped includes to isolate their top level bindings
+                if (pointer.type == 'scoped')
+                    nested_chunks = reference._scope_chunks(
+                        nested_chunks,
+                        pointer
+                    );
+            }
+
+            // Create replacement for include call or add nested file to its pattern group
+            if (pointer.group) {
+                replacements[pointer.call].content.push(nested_chunks);
+            } else {
+                replacements[pointer.call] = nested_chunks;
+            }
         });
 
-        return {
+        // Content lines moved by transforms carry their original lines for source maps
+        this._splice_calls(lines, replacements);
+        let chunks = {
             path: this.#path,
             line: 1,
             spacing: 0,
             content: lines,
         };
+        if (this.#line_map !== null) chunks.lines = this.#line_map;
+
+        this.#cache.chunks = {
+            path: this.#path,
+            chunks: chunks,
+            once: once_state,
+            nested: nested,
+        };
+        return chunks;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Calls provided method with current live file and all of its nested files in depth first order.
+     *
+     * @param {Function} method (file) => {}
+     */
+    _traverse(method, visited = new Set()) {
+        let store = this.#file_store;
+        if (visited.has(this)) return;
+        visited.add(this);
+        method(this);
+        Object.keys(store).forEach((key) =>
+            store[key]._traverse(method, visited)
+        );
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Adds the paths included by provided cached chunks to included paths in their original order.
+     *
+     * @param {Object} cache
+     * @param {Map} included
+     */
+    _replay_includes(cache, included) {
+        if (!included.has(cache.path)) included.set(cache.path, included.size);
+        cache.nested.forEach((nested) =>
+            this._replay_includes(nested, included)
+        );
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Clears cached chunks and loaded state of current live file and every live file which includes it.
+     *
+     * @param {Set} visited Live files which have already been invalidated
+     */
+    _invalidate(visited = new Set()) {
+        if (visited.has(this)) return;
+        visited.add(this);
+        this.#cache.chunks = null;
+        this.#cache.loaded = false;
+        this.#parents.forEach((parent) => parent._invalidate(visited));
+    }
+
+    /* LiveFile Getters */
+    get name() {
+        return this.#file_name;
+    }
+
+    get path() {
+        return this.#path;
+    }
+
+    get content() {
+        return this.#content;
+    }
+
+    get files() {
+        // Collect unique paths of current live file and all of its nested files
+        let files = new Set();
+        this._traverse((file) => files.add(file.#path));
+        return Array.from(files);
+    }
+
+    get modules() {
+        // Collect unique paths of modules required by current live file and all of its nested files
+        let modules = new Set();
+        this._traverse((file) =>
+            Object.keys(file.#requires).forEach((key) =>
+                modules.add(file.#requires[key])
+            )
+        );
+        return Array.from(modules);
+    }
+
+    get loaded() {
+        // A live file is only considered loaded once all of its nested files have loaded
+        // Only a loaded state is cached as nested files which finish loading invalidate their ancestors
+        if (this.#cache.loaded) return true;
+        let store = this.#file_store;
+        return (this.#cache.loaded =
+            this.#loaded &&
+            Object.keys(store).every((path) => store[path].loaded));
+    }
+
+    get chunks() {
+        return this._build_chunks(new Map());
+    }
+
+    get asset() {
+        return this.#asset ? this.#asset.name : null;
+    }
+
+    get literal() {
+        return this.#literal;
+    }
+
+    get graph() {
+        // Pointer lines are offset by the start boundary comment and transforms which changed lines
+        let reference = this;
+        let store = this.#file_store;
+        return {
+            path: this.#path,
+            name: this.#file_name,
+            hierarchy: this.#hierarchy,
+            includes: this.#nested_pointers.map((pointer) => ({
+                line: reference._original_line(pointer.line),
+                column: pointer.column,
+                spacing: pointer.spacing,
+                type: pointer.type,
+                group: pointer.group,
+                exports: pointer.exports,
+                pointers: this.#pointers[pointer.store],
+                file: store[pointer.store].graph,
+            })),
+        };
     }
 }
 
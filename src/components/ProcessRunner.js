@@ -0,0 +1,165 @@
+const { spawn } = require('child_process');
+
+class ProcessRunner {
+    #file_path;
+    #args;
+    #env;
+    #node_args;
+    #kill_timeout;
+    #child = null;
+    #kill_timer = null;
+    #restarting = false;
+    #stopping = false;
+    #waiting = [];
+    #methods = {
+        logger: (message) => {},
+        error: (path, error) => {},
+    };
+
+    constructor({
+        file_path,
+        args = [],
+        env = {},
+        node_args = [],
+        kill_timeout = 5000,
+    }) {
+        this.#file_path = file_path;
+        this.#args = args;
+        this.#env = env;
+        this.#node_args = node_args;
+        this.#kill_timeout = kill_timeout;
+    }
+
+    /**
+     * INTERNAL METHOD
+     * Binds handler for specified type event.
+     *
+     * @param {String} type
+     * @param {Function} handler
+     */
+    handle(type, handler) {
+        if (this.#methods[type] == undefined)
+            throw new Error(`${type} event is not supported on ProcessRunner.`);
+
+        this.#methods[type] = handler;
+    }
+
+    /**
+     * Spawns the compiled file as a child process if one is not already running.
+     */
+    start() {
+        if (this.#child !== null) return;
+
+        let reference = this;
+        this.#stopping = false;
+        this.#child = spawn(
+            process.execPath,
+            [...this.#node_args, this.#file_path, ...this.#args],
+            {
+                stdio: 'inherit',
+                env: Object.assign({}, process.env, this.#env),
+            }
+        );
+
+        // Report spawn errors through error handler
+        this.#child.on('error', (error) =>
+            reference.#methods.error(reference.#file_path, error)
+        );
+
+        this.#child.on('exit', (code, signal) =>
+            reference._on_exit(code, signal)
+        );
+
+        this.#methods.logger(`PROCESS_STARTED -> ${this.#file_path}`);
+    }
+
+    /**
+     * Gracefully restarts the child process or starts one if none is running.
+     */
+    restart() {
+        if (this.#child === null) return this.start();
+
+        this.#restarting = true;
+        this._terminate();
+    }
+
+    /**
+     * Gracefully stops the child process.
+     *
+     * @returns {Promise} Promise -> Resolve[undefined] once the child process has exited
+     */
+    stop() {
+        let reference = this;
+        return new Promise((resolve) => {
+            if (reference.#child === null) return resolve();
+
+            reference.#stopping = true;
+            reference.#restarting = false;
+            reference.#waiting.push(resolve);
+            reference._terminate();
+        });
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Sends SIGTERM to the child process and SIGKILL if it does not exit before kill timeout.
+     */
+    _terminate() {
+        // Do not send repeated signals while a termination is already in progress
+        if (this.#kill_timer !== null) return;
+
+        let child = this.#child;
+        child.kill('SIGTERM');
+        this.#kill_timer = setTimeout(
+            () => child.kill('SIGKILL'),
+            this.#kill_timeout
+        );
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Handles child process exit and performs pending restarts.
+     *
+     * @param {Number} code
+     * @param {String} signal
+     */
+    _on_exit(code, signal) {
+        clearTimeout(this.#kill_timer);
+        this.#kill_timer = null;
+        this.#child = null;
+
+        // Resolve pending stop() calls
+        let waiting = this.#waiting;
+        this.#waiting = [];
+        waiting.forEach((resolve) => resolve());
+
+        if (this.#restarting) {
+            this.#restarting = false;
+            this.#methods.logger(`PROCESS_RESTARTED -> ${this.#file_path}`);
+            return this.start();
+        }
+
+        // Child exited by itself and will be started again on next successful write
+        if (!this.#stopping)
+            this.#methods.logger(
+                `PROCESS_EXITED -> ${this.#file_path} (${
+                    signal || 'code ' + code
+                })`
+            );
+    }
+
+    /* ProcessRunner Getters */
+    get running() {
+        return this.#child !== null;
+    }
+
+    get pid() {
+        return this.#child ? this.#child.pid : null;
+    }
+
+    get file_path() {
+        return this.#file_path;
+    }
+}
+
+module.exports = ProcessRunner;
@@ -0,0 +1,235 @@
+const Path = require('path');
+const BASE64_CHARACTERS =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+class SourceMap {
+    #file;
+    #sources = [];
+    #source_indexes = {};
+    #lines = [];
+
+    constructor(file) {
+        this.#file = file;
+    }
+
+    /**
+     * Adds a generated line to the source map.
+     * Lines without a path are treated as unmapped lines such as boundary comments.
+     *
+     * @param {String} path Original file path
+     * @param {Number} line Original line position starting from 1
+     * @param {Number} column Generated column where the original line begins
+     * @param {Number} original_column Original column which the generated column maps to
+     */
+    add_line(path = null, line = 1, column = 0, original_column = 0) {
+        // Push an empty line for generated lines with no original position
+        if (path === null) return this.#lines.push(null);
+
+        // Register source path if it has not been seen before
+        if (this.#source_indexes[path] == undefined) {
+            this.#source_indexes[path] = this.#sources.length;
+            this.#sources.push(path);
+        }
+
+        this.#lines.push({
+            source: this.#source_indexes[path],
+            line: line - 1,
+            column: column,
+            original_column: original_column,
+        });
+    }
+
+    /**
+     * Moves generated lines to the positions of content which was changed after the source map was generated.
+     * Generated lines without a previous generated line such as injected headers become unmapped lines.
+     *
+     * @param {Array} lines Previous generated line of every changed generated line starting from 1 OR null
+     */
+    remap(lines) {
+        let previous = this.#lines;
+        this.#lines = lines.map((line) =>
+            line === null || previous[line - 1] === undefined
+                ? null
+                : previous[line - 1]
+        );
+    }
+
+    /**
+     * Returns the original position of provided generated line.
+     *
+     * @param {Number} line Generated line position starting from 1
+     * @returns {Object} Object -> { path, line, column } OR undefined
+     */
+    lookup(line) {
+        let current = this.#lines[line - 1];
+        if (current == undefined) return;
+        return {
+            path: this.#sources[current.source],
+            line: current.line + 1,
+            column: current.original_column,
+        };
+    }
+
+    /**
+     * Creates a SourceMap from a V3 source map object such as one read from a written map file.
+     * Only the first segment of every generated line is used as compiled maps have one segment per line.
+     *
+     * @param {Object} object
+     * @param {String} directory Directory of the source map file which sources are relative to
+     * @returns {SourceMap} SourceMap
+     */
+    static from_object(object, directory = './') {
+        let source_map = new SourceMap(object.file);
+        let paths = object.sources.map((source) =>
+            Path.join(directory, source).split('\\').join('/')
+        );
+
+        // Source index, original line and original column are relative to the previous segment
+        // while the generated column is only relative within the same generated line
+        let previous = [0, 0, 0, 0];
+        object.mappings.split(';').forEach((line) => {
+            let segments = line.length > 0 ? line.split(',') : [];
+            previous[0] = 0;
+            segments.forEach((segment, index) => {
+                let values = source_map._decode_vlq(segment);
+                values.forEach(
+                    (value, position) => (previous[position] += value)
+                );
+                if (index > 0) return;
+                if (values.length < 4) return source_map.add_line();
+                source_map.add_line(
+                    paths[previous[1]],
+                    previous[2] + 1,
+                    previous[0],
+                    previous[3]
+                );
+            });
+            if (segments.length == 0) source_map.add_line();
+        });
+
+        return source_map;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Encodes provided number into a Base64 VLQ string.
+     *
+     * @param {Number} value
+     * @returns {String} String
+     */
+    _encode_vlq(value) {
+        let result = '';
+        let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+        do {
+            let digit = vlq & 31;
+            vlq >>>= 5;
+            if (vlq > 0) digit |= 32;
+            result += BASE64_CHARACTERS[digit];
+        } while (vlq > 0);
+        return result;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Decodes provided Base64 VLQ string into numbers.
+     *
+     * @param {String} string
+     * @returns {Array} Array
+     */
+    _decode_vlq(string) {
+        let values = [];
+        let value = 0;
+        let shift = 0;
+        for (let i = 0; i < string.length; i++) {
+            let digit = BASE64_CHARACTERS.indexOf(string[i]);
+            value += (digit & 31) << shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Generates the mappings string with one segment per mapped generated line.
+     *
+     * @returns {String} String
+     */
+    _mappings() {
+        let reference = this;
+        let previous = {
+            source: 0,
+            line: 0,
+            original_column: 0,
+        };
+
+        return this.#lines
+            .map((current) => {
+                if (current === null) return '';
+
+                // Source index, line and original column are relative to the previous segment while column resets every line
+                let segment =
+                    reference._encode_vlq(current.column) +
+                    reference._encode_vlq(current.source - previous.source) +
+                    reference._encode_vlq(current.line - previous.line) +
+                    reference._encode_vlq(
+                        current.original_column - previous.original_column
+                    );
+
+                previous.source = current.source;
+                previous.line = current.line;
+                previous.original_column = current.original_column;
+                return segment;
+            })
+            .join(';');
+    }
+
+    /**
+     * Returns a V3 source map object with sources relative to specified directory.
+     *
+     * @param {String} directory Directory where the source map will be written
+     * @returns {Object} Object
+     */
+    to_object(directory = './') {
+        let root = Path.resolve(directory);
+        return {
+            version: 3,
+            file: this.#file,
+            sources: this.#sources.map((path) =>
+                Path.relative(root, Path.resolve(path)).split('\\').join('/')
+            ),
+            names: [],
+            mappings: this._mappings(),
+        };
+    }
+
+    /**
+     * Returns stringified V3 source map with sources relative to specified directory.
+     *
+     * @param {String} directory
+     * @returns {String} String
+     */
+    stringify(directory = './') {
+        return JSON.stringify(this.to_object(directory));
+    }
+
+    /* SourceMap Getters */
+    get file() {
+        return this.#file;
+    }
+
+    get sources() {
+        return this.#sources;
+    }
+
+    get lines() {
+        return this.#lines.length;
+    }
+}
+
+module.exports = SourceMap;
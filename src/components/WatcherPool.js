@@ -1,27 +1,80 @@
+const Path = require('path');
+const Crypto = require('crypto');
 const FileSystem = require('fs');
 
+const WATCH_MODES = ['native', 'poll', 'auto'];
+const POLL_METHODS = ['mtime', 'hash'];
+
+// Filesystems which do not deliver native change events reliably such as network shares and Docker volumes of virtual machines
+const POLLED_FILESYSTEMS = [
+    'nfs',
+    'nfs4',
+    'cifs',
+    'smb3',
+    'smbfs',
+    '9p',
+    'drvfs',
+    'vboxsf',
+    'prl_fs',
+    'virtiofs',
+    'fakeowner',
+    'fuse.osxfs',
+    'fuse.grpcfuse',
+    'fuse.sshfs',
+];
+
 class WatcherPool {
     #id = 0;
     #id_max = Number.MAX_SAFE_INTEGER - 1000;
     #watchers = {};
+    #directories = {};
     #watcher_delay;
     #call_delay;
+    #watch_mode;
+    #poll_interval;
+    #poll_method;
+    #poll_timer = null;
+    #mounts;
     #statistics = {
         watchers: 0,
         handlers: 0,
+        paths: 0,
     };
 
     #methods = {
         error: (path, error) => {},
     };
 
-    constructor(watcher_delay = 250, call_delay = 150) {
+    constructor(
+        watcher_delay = 250,
+        call_delay = 150,
+        {
+            watch_mode = 'native',
+            poll_interval = 1000,
+            poll_method = 'mtime',
+        } = {}
+    ) {
+        if (!WATCH_MODES.includes(watch_mode))
+            throw new Error('watch_mode must be one of native, poll or auto');
+        if (!Number.isFinite(poll_interval) || poll_interval <= 0)
+            throw new Error(
+                'poll_interval must be a positive Number in milliseconds'
+            );
+        if (!POLL_METHODS.includes(poll_method))
+            throw new Error('poll_method must be one of mtime or hash');
+
         this.#watcher_delay = watcher_delay;
         this.#call_delay = call_delay;
+        this.#watch_mode = watch_mode;
+        this.#poll_interval = poll_interval;
+        this.#poll_method = poll_method;
     }
 
     /**
      * This method binds a watcher for a specified path.
+     * Files are watched through a FileSystem watcher of their directory which is shared by every watched
+     * file within it. Paths which do not exist yet are watched through their nearest existing parent
+     * directory or polled until they appear.
      *
      * @param {String} path
      * @param {Function} handler
@@ -32,22 +85,20 @@ class WatcherPool {
         if (this.#watchers[path] == undefined) {
             this.#watchers[path] = {
                 last_update: Date.now() - this.#watcher_delay,
-                watcher: FileSystem.watch(
-                    path,
-                    {
-                        encoding: 'utf8',
-                    },
-                    (e, f) => this._handle_update(path, e, f)
-                ),
+                target: null,
+                exists: false,
+                inode: null,
+                directory: false,
+                mode: 'native',
+                signature: null,
                 handlers: [],
             };
-
-            // Bind error handler for filewatcher
-            this.#watchers[path].watcher.on('error', (error) =>
-                this.#methods.error(path, error)
-            );
-
-            this.#statistics.watchers++;
+            if (this._watch_mode(path) == 'poll') {
+                this._bind_poller(path);
+            } else {
+                this._bind_watcher(path);
+            }
+            this.#statistics.paths++;
         }
 
         // Bind handler to handlers array for watcher
@@ -72,16 +123,18 @@ class WatcherPool {
         if (this.#watchers[path]) {
             // Filter handlers array of watcher to remove specified handler id
             let handlers = this.#watchers[path].handlers;
-            this.#statistics.handlers--;
             this.#watchers[path].handlers = handlers.filter(
                 (h) => h.id !== handler_id
             );
+            this.#statistics.handlers -=
+                handlers.length - this.#watchers[path].handlers.length;
 
             // Cleanup watcher instance if it has no more handlers bound to it
             if (this.#watchers[path].handlers.length == 0) {
-                this.#watchers[path].watcher.close();
-                this.#statistics.watchers--;
+                this._release(path);
+                this.#statistics.paths--;
                 delete this.#watchers[path];
+                this._schedule_poll();
             }
         }
     }
@@ -103,11 +156,17 @@ class WatcherPool {
     destroy() {
         // Destroy all watcher instances
         let reference = this;
-        this.#watchers.forEach((path) => {
-            let object = reference.#watchers[path];
-            object.watcher.close();
-            delete reference.#watchers[path];
+        Object.keys(this.#directories).forEach((directory) => {
+            reference.#directories[directory].watcher.close();
+            delete reference.#directories[directory];
         });
+        Object.keys(this.#watchers).forEach(
+            (path) => delete reference.#watchers[path]
+        );
+        this._schedule_poll();
+        this.#statistics.watchers = 0;
+        this.#statistics.handlers = 0;
+        this.#statistics.paths = 0;
     }
 
     /**
@@ -121,6 +180,368 @@ class WatcherPool {
         return this.#id;
     }
 
+    /**
+     * INTERNAL METHOD!
+     * Returns the stats of provided path or null if it does not exist.
+     *
+     * @param {String} path
+     * @returns {FileSystem.Stats} Stats OR null
+     */
+    _stat(path) {
+        try {
+            return FileSystem.statSync(path);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the nearest existing parent directory of provided path.
+     *
+     * @param {String} path
+     * @returns {String} String
+     */
+    _ancestor(path) {
+        let directory = Path.dirname(path);
+        while (this._stat(directory) === null) {
+            let parent = Path.dirname(directory);
+            if (parent == directory) break;
+            directory = parent;
+        }
+        return directory;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the directory whose FileSystem watcher reports changes of provided path.
+     * Directories report their own changes, files are reported by their parent directory
+     * and missing paths are reported by their nearest existing parent directory.
+     *
+     * @param {String} path
+     * @param {FileSystem.Stats} stats
+     * @returns {String} String -> Absolute directory path
+     */
+    _target(path, stats) {
+        if (stats === null) return Path.resolve(this._ancestor(path));
+        return Path.resolve(stats.isDirectory() ? path : Path.dirname(path));
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Binds provided watched path to the shared FileSystem watcher of its target directory.
+     * Directory watchers are created for the first path within them and closed once no paths remain.
+     *
+     * @param {String} path
+     */
+    _bind_watcher(path) {
+        let object = this.#watchers[path];
+        let stats = this._stat(path);
+        let target = this._target(path, stats);
+        object.exists = stats !== null;
+        object.directory = stats ? stats.isDirectory() : false;
+        if (object.target === target && this.#directories[target]) return;
+        this._release(path);
+
+        let directory = this.#directories[target];
+        if (directory == undefined) {
+            let watcher;
+            try {
+                watcher = FileSystem.watch(
+                    target,
+                    {
+                        encoding: 'utf8',
+                    },
+                    (e, f) => this._handle_event(target, e, f)
+                );
+            } catch (error) {
+                if (this.#watch_mode == 'auto') return this._bind_poller(path);
+                return this.#methods.error(path, error);
+            }
+
+            // Bind error handler for filewatcher
+            watcher.on('error', (error) => this._handle_error(target, error));
+            directory = this.#directories[target] = {
+                watcher: watcher,
+                inode: this._stat(target).ino,
+                paths: [],
+            };
+            this.#statistics.watchers++;
+        }
+
+        directory.paths.push(path);
+        object.target = target;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Removes provided watched path from the directory watcher it is bound to.
+     * The directory watcher is closed once no watched paths are bound to it.
+     *
+     * @param {String} path
+     */
+    _release(path) {
+        let object = this.#watchers[path];
+        let target = object.target;
+        let directory = this.#directories[target];
+        object.target = null;
+        if (directory == undefined) return;
+
+        directory.paths = directory.paths.filter((current) => current !== path);
+        if (directory.paths.length == 0) {
+            directory.watcher.close();
+            delete this.#directories[target];
+            this.#statistics.watchers--;
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Handles errors of a directory watcher which falls back to polling its paths in auto mode.
+     *
+     * @param {String} target
+     * @param {Error} error
+     */
+    _handle_error(target, error) {
+        let directory = this.#directories[target];
+        if (directory == undefined) return;
+        if (this.#watch_mode !== 'auto')
+            return directory.paths.forEach((path) =>
+                this.#methods.error(path, error)
+            );
+
+        directory.paths.slice().forEach((path) => this._bind_poller(path));
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the watch mode of provided path which resolves auto mode through the filesystem of the path.
+     *
+     * @param {String} path
+     * @returns {String} String -> native OR poll
+     */
+    _watch_mode(path) {
+        if (this.#watch_mode !== 'auto') return this.#watch_mode;
+        return POLLED_FILESYSTEMS.includes(this._filesystem(path))
+            ? 'poll'
+            : 'native';
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns the filesystem type of the mount point which contains provided path.
+     * Mount points are only known on Linux where they are read once from /proc/mounts.
+     *
+     * @param {String} path
+     * @returns {String} String OR undefined
+     */
+    _filesystem(path) {
+        if (this.#mounts === undefined) {
+            try {
+                this.#mounts = FileSystem.readFileSync('/proc/mounts', 'utf8')
+                    .split('\n')
+                    .map((line) => line.split(' '))
+                    .filter((fields) => fields.length > 2)
+                    .map(([device, target, type]) => ({
+                        // Whitespace within mount points is escaped as octal sequences
+                        target: target.replace(/\\([0-7]{3})/g, (match, code) =>
+                            String.fromCharCode(parseInt(code, 8))
+                        ),
+                        type: type,
+                    }));
+            } catch (error) {
+                this.#mounts = [];
+            }
+        }
+
+        // The longest mount point which contains the path is its mount
+        let absolute = Path.resolve(path);
+        let mount;
+        this.#mounts.forEach((current) => {
+            let target = current.target.replace(/\/$/, '');
+            let contained =
+                absolute == current.target || absolute.startsWith(target + '/');
+            if (
+                contained &&
+                (mount === undefined ||
+                    current.target.length >= mount.target.length)
+            )
+                mount = current;
+        });
+
+        if (mount) return mount.type;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Returns a signature of provided path which changes whenever the path is changed.
+     * Files are compared by their inode, size and modification time or by a hash of their content.
+     * Directories are compared by their entries and missing paths have a null signature.
+     *
+     * @param {String} path
+     * @returns {String} String OR null
+     */
+    _signature(path) {
+        let stats = this._stat(path);
+        if (stats === null) return null;
+
+        try {
+            if (stats.isDirectory())
+                return `${stats.ino}:${FileSystem.readdirSync(path)
+                    .sort()
+                    .join('/')}`;
+            if (this.#poll_method == 'hash')
+                return `${stats.ino}:${Crypto.createHash('sha1')
+                    .update(FileSystem.readFileSync(path))
+                    .digest('hex')}`;
+        } catch (error) {
+            return null;
+        }
+
+        return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Polls provided watched path instead of binding a FileSystem watcher to it.
+     *
+     * @param {String} path
+     */
+    _bind_poller(path) {
+        let object = this.#watchers[path];
+        let stats = this._stat(path);
+        this._release(path);
+        object.mode = 'poll';
+        object.exists = stats !== null;
+        object.inode = stats ? stats.ino : null;
+        object.directory = stats ? stats.isDirectory() : false;
+        object.signature = this._signature(path);
+        this._schedule_poll();
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Starts the poll timer while polled paths exist and stops it once none remain.
+     */
+    _schedule_poll() {
+        let polled = Object.keys(this.#watchers).some(
+            (path) => this.#watchers[path].mode == 'poll'
+        );
+        if (polled && this.#poll_timer === null) {
+            this.#poll_timer = setInterval(
+                () => this._poll(),
+                this.#poll_interval
+            );
+        } else if (!polled && this.#poll_timer !== null) {
+            clearInterval(this.#poll_timer);
+            this.#poll_timer = null;
+        }
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * Compares the signature of every polled path and calls the handlers of changed paths.
+     * Created, deleted and replaced paths as well as directories whose entries were added or removed
+     * are reported as rename events like FileSystem watchers do.
+     */
+    _poll() {
+        Object.keys(this.#watchers).forEach((path) => {
+            let object = this.#watchers[path];
+            if (object == undefined || object.mode !== 'poll') return;
+
+            let signature = this._signature(path);
+            if (signature === object.signature) return;
+
+            let stats = this._stat(path);
+            let inode = stats ? stats.ino : null;
+            let listed = object.directory && stats && stats.isDirectory();
+            let event =
+                inode === object.inode && signature !== null && !listed
+                    ? 'change'
+                    : 'rename';
+            object.signature = signature;
+            object.exists = stats !== null;
+            object.inode = inode;
+            object.directory = stats ? stats.isDirectory() : false;
+
+            // Changes are detected once per interval so the delay check is skipped
+            this._handle_update(path, event, Path.basename(path), true);
+        });
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * This method routes raw events of a directory watcher to the watched paths they concern.
+     * Watched directories receive every event of their own watcher while files only receive events
+     * which name them. Watchers of deleted or replaced directories are bound again for all of their paths.
+     *
+     * @param {String} target
+     * @param {String} event
+     * @param {String} file_name
+     */
+    _handle_event(target, event, file_name) {
+        let directory = this.#directories[target];
+        if (directory == undefined) return;
+
+        let stats = this._stat(target);
+        if (stats === null || stats.ino !== directory.inode) {
+            directory.watcher.close();
+            delete this.#directories[target];
+            this.#statistics.watchers--;
+            return directory.paths.forEach((path) => {
+                this.#watchers[path].target = null;
+                this._route(path, 'rename', Path.basename(path));
+            });
+        }
+
+        // Missing paths watched through an ancestor are checked on every event of that ancestor
+        directory.paths.slice().forEach((path) => {
+            let object = this.#watchers[path];
+            if (
+                object.directory ||
+                !file_name ||
+                Path.resolve(Path.dirname(path)) !== target ||
+                Path.basename(path) === file_name
+            )
+                this._route(path, event, file_name);
+        });
+    }
+
+    /**
+     * INTERNAL METHOD!
+     * This method handles a FileSystem watcher event of provided watched path.
+     * Editors which save by renaming a temporary file over the original replace the file within its
+     * directory, so paths are only bound again when they appear, disappear or change their type.
+     *
+     * @param {String} path
+     * @param {String} event
+     * @param {String} file_name
+     */
+    _route(path, event, file_name) {
+        let object = this.#watchers[path];
+        if (object == undefined || object.mode !== 'native') return;
+
+        // Events of parent directories only matter once the missing path appears
+        // Appearing paths skip the delay check as they may appear right after their deletion was handled
+        let stats = this._stat(path);
+        if (!object.exists && stats === null) {
+            if (this._target(path, stats) !== object.target)
+                this._bind_watcher(path);
+            return;
+        }
+
+        let appeared = !object.exists;
+        if (
+            appeared ||
+            stats === null ||
+            object.target === null ||
+            stats.isDirectory() !== object.directory
+        )
+            this._bind_watcher(path);
+
+        this._handle_update(path, event, file_name, appeared);
+    }
+
     /**
      * INTERNAL METHOD!
      * This method performs a delay check between last update to prevent
@@ -151,13 +572,15 @@ class WatcherPool {
      * @param {String} path
      * @param {String} event
      * @param {String} file_name
+     * @param {Boolean} force Skips the delay check
      */
-    _handle_update(path, event, file_name) {
+    _handle_update(path, event, file_name, force = false) {
         // Verify watcher exists and delay check passes
-        if (this.#watchers[path] && this._delay_check(path)) {
-            // Call all handlers belonging to this watcher with params
+        if (this.#watchers[path] && (force || this._delay_check(path))) {
+            // Call all handlers belonging to this watcher with params unless it was removed meanwhile
             setTimeout(
                 (r, p, e, f) =>
+                    r.#watchers[p] &&
                     r.#watchers[p].handlers.forEach((h) => h.call(e, f)),
                 this.#call_delay,
                 this,
@@ -177,6 +600,18 @@ class WatcherPool {
         return this.#watcher_delay;
     }
 
+    get watch_mode() {
+        return this.#watch_mode;
+    }
+
+    get poll_interval() {
+        return this.#poll_interval;
+    }
+
+    get poll_method() {
+        return this.#poll_method;
+    }
+
     get watchers() {
         return this.#statistics.watchers;
     }
@@ -184,6 +619,10 @@ class WatcherPool {
     get handlers() {
         return this.#statistics.handlers;
     }
+
+    get paths() {
+        return this.#statistics.paths;
+    }
 }
 
 module.exports = WatcherPool;
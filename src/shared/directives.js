@@ -0,0 +1,426 @@
+const VM = require('vm');
+const { tokenize } = require('./tokenizer.js');
+const DIRECTIVE_REGEX = /^\s*\/\/#(if|elif|else|endif)\b(.*)$/;
+const DECLARATION_KEYWORDS = ['var', 'let', 'const'];
+const NAMING_KEYWORDS = ['function', 'class', 'import'];
+const CONTROL_KEYWORDS = ['if', 'for', 'while', 'switch', 'with', 'catch'];
+const OPENING_BRACKETS = ['(', '[', '{'];
+const CLOSING_BRACKETS = [')', ']', '}'];
+
+/**
+ * Evaluates a conditional directive expression against provided defines.
+ *
+ * @param {String} expression
+ * @param {Object} defines
+ * @returns {Boolean} Boolean
+ */
+function evaluate_condition(expression, defines) {
+    return !!VM.runInNewContext(expression, Object.assign({}, defines), {
+        timeout: 100,
+    });
+}
+
+/**
+ * Strips lines inside inactive conditional compilation blocks.
+ * Stripped lines are emptied rather than removed so line positions are preserved.
+ *
+ * @param {String} content
+ * @param {Object} defines
+ * @returns {Object} Object -> { content: String, errors: Array }
+ */
+function strip_conditionals(content, defines = {}) {
+    // Skip line parsing entirely for content without any directives
+    if (content.indexOf('//#') == -1)
+        return {
+            content: content,
+            errors: [],
+        };
+
+    let lines = content.split('\n');
+    let errors = [];
+    let stack = [];
+    let active = () => stack.every((frame) => frame.current);
+    for (let i = 0; i < lines.length; i++) {
+        let match = lines[i].match(DIRECTIVE_REGEX);
+        if (match == null) {
+            // Empty lines which belong to inactive blocks
+            if (!active()) lines[i] = '';
+            continue;
+        }
+
+        let type = match[1];
+        let expression = match[2].trim();
+        let frame = stack[stack.length - 1];
+        let line = i + 1;
+        try {
+            if (type == 'if') {
+                // Only evaluate conditions of nested blocks when the parent block is active
+                let parent_active = active();
+                let current =
+                    parent_active && evaluate_condition(expression, defines);
+                stack.push({
+                    parent_active: parent_active,
+                    taken: current,
+                    current: current,
+                });
+            } else if (frame == undefined) {
+                throw new Error(`//#${type} without a matching //#if`);
+            } else if (type == 'elif') {
+                frame.current =
+                    frame.parent_active &&
+                    !frame.taken &&
+                    evaluate_condition(expression, defines);
+                frame.taken = frame.taken || frame.current;
+            } else if (type == 'else') {
+                frame.current = frame.parent_active && !frame.taken;
+                frame.taken = true;
+            } else {
+                stack.pop();
+            }
+        } catch (error) {
+            // Treat invalid conditions as false so their block is stripped
+            if (type == 'if')
+                stack.push({
+                    parent_active: active(),
+                    taken: false,
+                    current: false,
+                });
+            if (type == 'elif') frame.current = false;
+            errors.push(
+                new Error(
+                    `Invalid //#${type} directive at line ${line}: ${error.message}`
+                )
+            );
+        }
+    }
+
+    if (stack.length > 0)
+        errors.push(
+            new Error(`${stack.length} //#if directive(s) missing an //#endif`)
+        );
+
+    return {
+        content: lines.join('\n'),
+        errors: errors,
+    };
+}
+
+/**
+ * Returns the index of the last token of provided dotted define key starting at provided index.
+ * Key segments must be adjacent identifier and dot tokens such as process.env.NODE_ENV.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @param {Array} segments
+ * @returns {Number} Number OR -1 when the key does not match
+ */
+function match_key(tokens, index, segments) {
+    for (let i = 0; i < segments.length; i++) {
+        let cursor = index + i * 2;
+        let token = tokens[cursor];
+        let dot = tokens[cursor - 1];
+        if (
+            token == undefined ||
+            token.type !== 'identifier' ||
+            token.value !== segments[i]
+        )
+            return -1;
+        if (
+            i > 0 &&
+            (dot.value !== '.' ||
+                dot.start !== tokens[cursor - 2].end ||
+                token.start !== dot.end)
+        )
+            return -1;
+    }
+    return index + (segments.length - 1) * 2;
+}
+
+/**
+ * Returns whether the token at provided index is a punctuator with provided value.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @param {String} value
+ * @returns {Boolean} Boolean
+ */
+function is_punctuator(tokens, index, value) {
+    let token = tokens[index];
+    return (
+        token !== undefined &&
+        token.type == 'punctuator' &&
+        token.value == value
+    );
+}
+
+/**
+ * Returns whether the token at provided index is an assignment = rather than part of an equality operator.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @returns {Boolean} Boolean
+ */
+function is_assignment(tokens, index) {
+    let adjacent = (a, b) =>
+        tokens[a] !== undefined &&
+        tokens[b] !== undefined &&
+        tokens[a].end === tokens[b].start &&
+        tokens[a].type == 'punctuator';
+    return (
+        is_punctuator(tokens, index, '=') &&
+        !(adjacent(index, index + 1) && tokens[index + 1].value == '=') &&
+        !(adjacent(index - 1, index) && /[=!<>]/.test(tokens[index - 1].value))
+    );
+}
+
+/**
+ * Returns the matching closing bracket index and the enclosing opening bracket index of every token.
+ * Unbalanced opening brackets are matched with the end of tokens.
+ *
+ * @param {Array} tokens
+ * @returns {Object} Object -> { matches: Array, parents: Array }
+ */
+function match_brackets(tokens) {
+    let matches = new Array(tokens.length);
+    let parents = new Array(tokens.length);
+    let stack = [];
+    tokens.forEach((token, index) => {
+        let punctuator = token.type == 'punctuator';
+        if (punctuator && CLOSING_BRACKETS.includes(token.value)) {
+            let open = stack.pop();
+            if (open !== undefined) matches[open] = index;
+        }
+
+        parents[index] = stack.length > 0 ? stack[stack.length - 1] : -1;
+        if (punctuator && OPENING_BRACKETS.includes(token.value))
+            stack.push(index);
+    });
+    stack.forEach((open) => (matches[open] = tokens.length));
+    return {
+        matches: matches,
+        parents: parents,
+    };
+}
+
+/**
+ * Returns the index after the expression starting at provided index.
+ * Expressions end before a comma or closing bracket at their own depth.
+ *
+ * @param {Array} tokens
+ * @param {Array} matches
+ * @param {Number} index
+ * @param {Number} end
+ * @returns {Number} Number
+ */
+function skip_expression(tokens, matches, index, end) {
+    while (index < end) {
+        let token = tokens[index];
+        if (token.type == 'punctuator') {
+            if (token.value == ',' || CLOSING_BRACKETS.includes(token.value))
+                break;
+            if (OPENING_BRACKETS.includes(token.value)) {
+                index = matches[index] + 1;
+                continue;
+            }
+        }
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Marks binding identifiers of the destructuring pattern or parameter list between provided indexes.
+ * Identifiers within default values are expressions and are not marked.
+ *
+ * @param {Array} tokens
+ * @param {Array} matches
+ * @param {Number} start
+ * @param {Number} end
+ * @param {Set} bindings
+ */
+function mark_pattern(tokens, matches, start, end, bindings) {
+    for (let i = start; i < end; i++) {
+        if (is_assignment(tokens, i)) {
+            i = skip_expression(tokens, matches, i + 1, end) - 1;
+        } else if (tokens[i].type == 'identifier') {
+            bindings.add(i);
+        }
+    }
+}
+
+/**
+ * Returns the indexes of identifier tokens which are not free references.
+ * These are declared names, destructuring patterns, parameters, shorthand properties and object literal keys.
+ * Bindings are detected from tokens alone so unusual constructs such as labels may still be substituted.
+ *
+ * @param {Array} tokens Significant tokens without comments
+ * @returns {Set} Set
+ */
+function binding_tokens(tokens) {
+    let bindings = new Set();
+    let { matches, parents } = match_brackets(tokens);
+    tokens.forEach((token, index) => {
+        let previous = tokens[index - 1];
+        let next = tokens[index + 1];
+        let after_separator =
+            is_punctuator(tokens, index - 1, '{') ||
+            is_punctuator(tokens, index - 1, ',');
+
+        if (token.type == 'identifier') {
+            // Names of functions, classes and default imports as well as single arrow function parameters
+            if (
+                (previous &&
+                    previous.type == 'identifier' &&
+                    NAMING_KEYWORDS.includes(previous.value)) ||
+                is_punctuator(tokens, index + 1, '=>')
+            )
+                bindings.add(index);
+
+            // Object literal keys such as { KEY: value }
+            if (after_separator && is_punctuator(tokens, index + 1, ':'))
+                bindings.add(index);
+
+            // Shorthand properties and destructured names such as { KEY } or { KEY = fallback }
+            let parent = parents[index];
+            if (
+                after_separator &&
+                parent > -1 &&
+                tokens[parent].value == '{' &&
+                next &&
+                (is_punctuator(tokens, index + 1, ',') ||
+                    is_punctuator(tokens, index + 1, '}') ||
+                    is_assignment(tokens, index + 1))
+            )
+                bindings.add(index);
+
+            // Declarations such as const { KEY } = object while keys and properties named let or const are skipped
+            let property =
+                is_punctuator(tokens, index - 1, '.') ||
+                is_punctuator(tokens, index + 1, ':');
+            if (DECLARATION_KEYWORDS.includes(token.value) && !property)
+                mark_declaration(tokens, matches, index + 1, bindings);
+        } else if (is_punctuator(tokens, index, '(')) {
+            // Parameter lists of functions, methods, arrow functions and catch clauses
+            let close = matches[index];
+            let name =
+                previous &&
+                previous.type == 'identifier' &&
+                !CONTROL_KEYWORDS.includes(previous.value) &&
+                !is_punctuator(tokens, index - 2, '.');
+            let parameters =
+                is_punctuator(tokens, close + 1, '=>') ||
+                (previous && ['function', 'catch'].includes(previous.value)) ||
+                (name && is_punctuator(tokens, close + 1, '{'));
+            if (!parameters) return;
+
+            if (name && !['function', 'catch'].includes(previous.value))
+                bindings.add(index - 1);
+            mark_pattern(tokens, matches, index + 1, close, bindings);
+        }
+    });
+    return bindings;
+}
+
+/**
+ * Marks the declared names of the variable declaration starting at provided index.
+ * Declarations end at a semicolon, a loop keyword such as of or a line break after a complete initializer.
+ *
+ * @param {Array} tokens
+ * @param {Array} matches
+ * @param {Number} index
+ * @param {Set} bindings
+ */
+function mark_declaration(tokens, matches, index, bindings) {
+    let pattern = true;
+    for (let i = index; i < tokens.length; i++) {
+        let token = tokens[i];
+        let previous = tokens[i - 1];
+        let punctuator = token.type == 'punctuator';
+        if (
+            punctuator &&
+            (token.value == ';' || CLOSING_BRACKETS.includes(token.value))
+        )
+            return;
+
+        if (pattern) {
+            if (token.type == 'identifier') {
+                if (['in', 'of'].includes(token.value)) return;
+                bindings.add(i);
+            } else if (punctuator && ['[', '{'].includes(token.value)) {
+                mark_pattern(tokens, matches, i + 1, matches[i], bindings);
+                i = matches[i];
+            } else if (is_assignment(tokens, i)) {
+                pattern = false;
+            }
+        } else {
+            // Initializers without a trailing comma end at the next line through automatic semicolon insertion
+            let complete =
+                previous.type !== 'punctuator' ||
+                CLOSING_BRACKETS.includes(previous.value);
+            if (
+                token.line > previous.end_line &&
+                complete &&
+                token.value !== ','
+            )
+                return;
+
+            if (punctuator && OPENING_BRACKETS.includes(token.value)) {
+                i = matches[i];
+            } else if (punctuator && token.value == ',') {
+                pattern = true;
+            }
+        }
+    }
+}
+
+/**
+ * Replaces free references matching define keys with their JSON serialized values.
+ * Strings, comments, regular expressions, property accesses and bindings such as declared names,
+ * parameters, shorthand properties and object literal keys are left untouched while
+ * identifiers within template literal substitutions are replaced.
+ * Serialized values never contain newlines so line positions are preserved.
+ *
+ * @param {String} content
+ * @param {Object} defines
+ * @returns {String} String
+ */
+function substitute_defines(content, defines = {}) {
+    // Prefer longer keys such as process.env.NODE_ENV over their prefixes
+    let keys = Object.keys(defines)
+        .sort((a, b) => b.length - a.length)
+        .filter((key) => content.includes(key));
+    if (keys.length == 0) return content;
+
+    let segments = keys.map((key) => key.split('.'));
+    let tokens = tokenize(content).filter((token) => token.type !== 'comment');
+    let bindings = binding_tokens(tokens);
+    let result = '';
+    let position = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        let token = tokens[i];
+        let previous = tokens[i - 1];
+        if (token.type !== 'identifier' || bindings.has(i)) continue;
+        if (previous && ['.', '?.'].includes(previous.value)) continue;
+
+        for (let k = 0; k < keys.length; k++) {
+            let last = match_key(tokens, i, segments[k]);
+            if (last == -1) continue;
+
+            let value = JSON.stringify(defines[keys[k]]);
+            result +=
+                content.slice(position, token.start) +
+                (value === undefined ? 'undefined' : value);
+            position = tokens[last].end;
+            i = last;
+            break;
+        }
+    }
+
+    return result + content.slice(position);
+}
+
+module.exports = {
+    evaluate_condition: evaluate_condition,
+    strip_conditionals: strip_conditionals,
+    substitute_defines: substitute_defines,
+};
@@ -0,0 +1,378 @@
+const { tokenize, string_value } = require('./tokenizer.js');
+
+// Converts required modules to their default export like Node.js does for ES modules importing CommonJS modules
+const DEFAULT_INTEROP =
+    '((module) => (module && module.__esModule ? module.default : module))';
+const IMPORT_META =
+    "({ url: require('url').pathToFileURL(__filename).href, filename: __filename, dirname: __dirname })";
+const DECLARATION_KEYWORDS = ['const', 'let', 'var'];
+const BINDING_PREVIOUS = ['{', '[', ',', ':', '...'];
+const BINDING_NEXT = [',', '}', ']', '='];
+
+// Tokens which can not end an expression so a line break after them never ends a statement
+const CONTINUATIONS = ', = ( [ { . ?. ? : + - * / % & | ^ ! ~ < > => ...'.split(
+    ' '
+);
+
+/**
+ * Returns the index of the token after the bracket which closes the bracket at provided index.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @returns {Number} Number
+ */
+function skip_brackets(tokens, index) {
+    let depth = 0;
+    for (; index < tokens.length; index++) {
+        let value = tokens[index].type == 'punctuator' && tokens[index].value;
+        if (value == '{' || value == '(' || value == '[') depth++;
+        if (value == '}' || value == ')' || value == ']') depth--;
+        if (depth == 0) return index + 1;
+    }
+    return index;
+}
+
+/**
+ * Returns the index of the token which ends the statement starting at provided index.
+ * Statements end with a semicolon or a line break which automatic semicolon insertion would end them at.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @param {Boolean} commas Whether top level commas also end the statement
+ * @returns {Number} Number
+ */
+function statement_end(tokens, index, commas = false) {
+    while (index < tokens.length) {
+        let token = tokens[index];
+        let value = token.type == 'punctuator' ? token.value : null;
+        if (value == ';' || (commas && value == ',')) return index;
+        if (value == '{' || value == '(' || value == '[') {
+            index = skip_brackets(tokens, index);
+        } else {
+            index++;
+        }
+
+        // Line breaks end the statement unless either side continues the expression
+        let previous = tokens[index - 1];
+        let next = tokens[index];
+        if (next == undefined || next.line == previous.end_line) continue;
+        let continued =
+            (previous.type == 'punctuator' &&
+                CONTINUATIONS.includes(previous.value)) ||
+            (next.type == 'punctuator' &&
+                CONTINUATIONS.concat(')', ']', '}').includes(next.value) &&
+                !['(', '[', '{', '!', '~', '+', '-'].includes(next.value));
+        if (!continued) return index;
+    }
+    return index;
+}
+
+/**
+ * Collects binding names of a declarator which is an identifier or a destructuring pattern.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @param {Array} names
+ * @returns {Number} Number -> Index of the token after the binding
+ */
+function collect_bindings(tokens, index, names) {
+    let token = tokens[index];
+    if (token == undefined) return index;
+    if (token.type == 'identifier') {
+        names.push(token.value);
+        return index + 1;
+    }
+
+    // Pattern identifiers are bindings when they are neither keys nor default values
+    let end = skip_brackets(tokens, index);
+    for (let i = index + 1; i < end - 1; i++) {
+        let previous = tokens[i - 1];
+        let next = tokens[i + 1];
+        if (
+            tokens[i].type == 'identifier' &&
+            BINDING_PREVIOUS.includes(previous.value) &&
+            BINDING_NEXT.includes(next.value)
+        )
+            names.push(tokens[i].value);
+    }
+    return end;
+}
+
+/**
+ * Parses import or export specifiers such as { a, b as c } starting at the opening brace.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @returns {Object} Object -> { specifiers: [{ local, exported }], index }
+ */
+function parse_specifiers(tokens, index) {
+    let specifiers = [];
+    let end = skip_brackets(tokens, index) - 1;
+    for (let i = index + 1; i < end; i++) {
+        let token = tokens[i];
+        if (token.value == ',') continue;
+        let local = string_value(token) || token.value;
+        let exported = local;
+        if (tokens[i + 1] && tokens[i + 1].value == 'as') {
+            exported = string_value(tokens[i + 2]) || tokens[i + 2].value;
+            i += 2;
+        }
+        specifiers.push({ local: local, exported: exported });
+    }
+
+    return {
+        specifiers: specifiers,
+        index: end + 1,
+    };
+}
+
+/**
+ * Returns the index after an optional module source, import attributes and semicolon.
+ *
+ * @param {Array} tokens
+ * @param {Number} index
+ * @returns {Number} Number
+ */
+function skip_clause_end(tokens, index) {
+    let token = tokens[index];
+    if (token && ['assert', 'with'].includes(token.value))
+        index = skip_brackets(tokens, index + 1);
+    if (tokens[index] && tokens[index].value == ';') index++;
+    return index;
+}
+
+/**
+ * Rewrites import and export statements of an ES module into CommonJS code.
+ * Statements are replaced within the lines they occupy so line positions are preserved.
+ * Exported bindings are assigned to exports on an additional last line as function declarations are hoisted.
+ *
+ * @param {String} content
+ * @returns {String} String
+ */
+function esm_to_cjs(content) {
+    let tokens = tokenize(content).filter((token) => token.type !== 'comment');
+    let replacements = [];
+    let exports = [];
+    let depth = 0;
+
+    // Replaces tokens from start up to the end index with provided code
+    let replace = (start, end, code) =>
+        replacements.push({
+            start: tokens[start].start,
+            end: tokens[end - 1].end,
+            code: code,
+        });
+
+    // Removes export keywords up to the declaration which follows them on the same line
+    let strip = (start, end) =>
+        replacements.push({
+            start: tokens[start].start,
+            end:
+                tokens[end].line == tokens[end - 1].end_line
+                    ? tokens[end].start
+                    : tokens[end - 1].end,
+            code: '',
+        });
+
+    for (let i = 0; i < tokens.length; i++) {
+        let token = tokens[i];
+        let previous = tokens[i - 1] || {};
+        let next = tokens[i + 1] || {};
+        if (token.type == 'punctuator') {
+            if (['{', '(', '['].includes(token.value)) depth++;
+            if (['}', ')', ']'].includes(token.value)) depth--;
+            continue;
+        }
+        if (token.type !== 'identifier' || previous.value == '.') continue;
+
+        // Replace import.meta with an object of its CommonJS equivalents
+        if (token.value == 'import' && next.value == '.') {
+            if (tokens[i + 2] && tokens[i + 2].value == 'meta') {
+                replace(i, i + 3, IMPORT_META);
+                i += 2;
+            }
+            continue;
+        }
+
+        // Only static import and export statements at the top level are rewritten
+        if (depth !== 0 || next.value == '(') continue;
+        if (token.value == 'import') {
+            let index = i + 1;
+            let source = string_value(tokens[index]);
+            if (source !== undefined) {
+                // Side effect imports such as import 'module'
+                index = skip_clause_end(tokens, index + 1);
+                replace(i, index, `require(${tokens[i + 1].value});`);
+                i = index - 1;
+                continue;
+            }
+
+            // Collect default, namespace and named bindings before the module source
+            let declarations = [];
+            while (index < tokens.length && tokens[index].value !== 'from') {
+                let current = tokens[index];
+                if (current.value == '*') {
+                    declarations.push({
+                        binding: tokens[index + 2].value,
+                        value: '%',
+                    });
+                    index += 3;
+                } else if (current.value == '{') {
+                    let parsed = parse_specifiers(tokens, index);
+                    let properties = parsed.specifiers.map(
+                        ({ local, exported }) =>
+                            local == exported
+                                ? local
+                                : `${JSON.stringify(local)}: ${exported}`
+                    );
+                    declarations.push({
+                        binding: `{ ${properties.join(', ')} }`,
+                        value: '%',
+                    });
+                    index = parsed.index;
+                } else if (current.type == 'identifier') {
+                    declarations.push({
+                        binding: current.value,
+                        value: `${DEFAULT_INTEROP}(%)`,
+                    });
+                    index++;
+                } else {
+                    index++;
+                }
+            }
+
+            let request = tokens[index + 1];
+            if (string_value(request) === undefined) continue;
+            let required = `require(${request.value})`;
+            index = skip_clause_end(tokens, index + 2);
+            replace(
+                i,
+                index,
+                `const ${declarations
+                    .map(
+                        ({ binding, value }) =>
+                            `${binding} = ${value.replace('%', required)}`
+                    )
+                    .join(', ')};`
+            );
+            i = index - 1;
+        } else if (token.value == 'export') {
+            let index = i + 1;
+            let current = tokens[index];
+            if (current == undefined) continue;
+
+            if (current.value == 'default') {
+                // Named default declarations keep their binding while anything else is an expression
+                let declaration = tokens[index + 1] || {};
+                let offset = declaration.value == 'async' ? 1 : 0;
+                let keyword = tokens[index + 1 + offset] || {};
+                let named = tokens[index + 2 + offset] || {};
+                if (named.value == '*')
+                    named = tokens[index + 3 + offset] || {};
+                if (
+                    ['function', 'class'].includes(keyword.value) &&
+                    named.type == 'identifier'
+                ) {
+                    strip(i, index + 1);
+                    exports.push({ local: named.value, exported: 'default' });
+                } else {
+                    replace(i, index + 1, 'exports.default =');
+                }
+                i = index;
+            } else if (current.value == '*') {
+                // Re-export every export or a namespace of another module
+                let namespace = tokens[index + 1].value == 'as';
+                let from = index + (namespace ? 3 : 1);
+                let request = tokens[from + 1];
+                if (string_value(request) === undefined) continue;
+                let end = skip_clause_end(tokens, from + 2);
+                replace(
+                    i,
+                    end,
+                    namespace
+                        ? `exports.${tokens[index + 2].value} = require(${
+                              request.value
+                          });`
+                        : `Object.assign(exports, require(${request.value}));`
+                );
+                i = end - 1;
+            } else if (current.value == '{') {
+                // Export lists are assigned at the end while re-exports are assigned in place
+                let parsed = parse_specifiers(tokens, index);
+                let end = parsed.index;
+                let code = '';
+                if (tokens[end] && tokens[end].value == 'from') {
+                    let request = tokens[end + 1];
+                    code = parsed.specifiers
+                        .map(
+                            ({ local, exported }) =>
+                                `exports[${JSON.stringify(
+                                    exported
+                                )}] = require(${
+                                    request.value
+                                })[${JSON.stringify(local)}];`
+                        )
+                        .join(' ');
+                    end += 2;
+                } else {
+                    exports.push(...parsed.specifiers);
+                }
+                end = skip_clause_end(tokens, end);
+                replace(i, end, code);
+                i = end - 1;
+            } else {
+                // Declarations keep their bindings which are assigned to exports at the end
+                let names = [];
+                let keyword =
+                    current.value == 'async' ? tokens[index + 1] : current;
+                if (DECLARATION_KEYWORDS.includes(keyword.value)) {
+                    let cursor = index + 1;
+                    while (cursor < tokens.length) {
+                        cursor = collect_bindings(tokens, cursor, names);
+                        cursor = statement_end(tokens, cursor, true);
+                        if (!tokens[cursor] || tokens[cursor].value !== ',')
+                            break;
+                        cursor++;
+                    }
+                } else {
+                    let named = tokens[tokens.indexOf(keyword) + 1] || {};
+                    if (named.value == '*')
+                        named = tokens[tokens.indexOf(keyword) + 2] || {};
+                    if (named.type == 'identifier') names.push(named.value);
+                }
+                names.forEach((name) =>
+                    exports.push({ local: name, exported: name })
+                );
+                strip(i, index);
+            }
+        }
+    }
+
+    // Apply replacements from the last to the first while keeping line breaks of replaced statements
+    replacements.reverse().forEach(({ start, end, code }) => {
+        let newlines = content.slice(start, end).match(/\n/g) || [];
+        content =
+            content.slice(0, start) +
+            code +
+            newlines.join('') +
+            content.slice(end);
+    });
+
+    if (exports.length > 0)
+        content +=
+            '\n' +
+            ["Object.defineProperty(exports, '__esModule', { value: true });"]
+                .concat(
+                    exports.map(
+                        ({ local, exported }) =>
+                            `exports[${JSON.stringify(exported)}] = ${local};`
+                    )
+                )
+                .join(' ');
+
+    return content;
+}
+
+module.exports = {
+    esm_to_cjs: esm_to_cjs,
+};
@@ -0,0 +1,150 @@
+const Path = require('path');
+const { esm_to_cjs } = require('./esm.js');
+
+/**
+ * Converts text content into an escaped string literal.
+ *
+ * @param {String} content
+ * @returns {String} String
+ */
+function text_literal(content) {
+    return JSON.stringify(content);
+}
+
+/**
+ * Converts JSON content into an object literal.
+ * Content with a "__proto__" key is parsed at runtime as an object literal would set its prototype instead.
+ *
+ * @param {String} content
+ * @returns {String} String
+ */
+function json_literal(content) {
+    let literal = JSON.stringify(JSON.parse(content));
+    if (literal.indexOf('"__proto__":') > -1)
+        return `JSON.parse(${JSON.stringify(literal)})`;
+    return literal;
+}
+
+/**
+ * Converts base64 encoded content into a string literal.
+ *
+ * @param {String} content
+ * @returns {String} String
+ */
+function base64_literal(content) {
+    return JSON.stringify(content);
+}
+
+// Built-in loaders with the encoding their files are read with
+// Literal loaders convert content into a literal which is inlined in place of the include call
+// Code loaders convert content into JavaScript which is included like any other file
+const LOADERS = {
+    js: {
+        encoding: 'utf8',
+    },
+    esm: {
+        encoding: 'utf8',
+        code: esm_to_cjs,
+    },
+    text: {
+        encoding: 'utf8',
+        literal: text_literal,
+    },
+    json: {
+        encoding: 'utf8',
+        literal: json_literal,
+    },
+    base64: {
+        encoding: 'base64',
+        literal: base64_literal,
+    },
+};
+
+// Built-in loaders of included files by their extension
+const DEFAULT_LOADERS = {
+    '.js': 'js',
+    '.cjs': 'js',
+    '.mjs': 'esm',
+    '.json': 'json',
+    '.txt': 'text',
+    '.html': 'text',
+    '.sql': 'text',
+};
+
+/**
+ * Merges provided loaders keyed by extension with the default loaders.
+ * Loaders are either the name of a built-in loader or an object with an encoding and a literal or code converter.
+ * Every resolved loader is named after its built-in loader or the extension of custom loaders.
+ *
+ * @param {Object} loaders
+ * @returns {Object} Object -> { [extension]: { name, encoding, literal, code } }
+ */
+function resolve_loaders(loaders = {}) {
+    let resolved = {};
+    let merged = Object.assign({}, DEFAULT_LOADERS, loaders);
+    Object.keys(merged).forEach((extension) => {
+        let loader = merged[extension];
+        if (!extension.startsWith('.'))
+            throw new Error(
+                `loaders -> ${extension} must be an extension starting with a dot`
+            );
+
+        if (typeof loader == 'string') {
+            if (LOADERS[loader] == undefined)
+                throw new Error(
+                    `loaders -> ${extension} must use one of the built-in loaders ${Object.keys(
+                        LOADERS
+                    ).join(', ')}`
+                );
+            return (resolved[extension] = Object.assign(
+                { name: loader },
+                LOADERS[loader]
+            ));
+        }
+
+        let { encoding = 'utf8', literal, code } = loader || {};
+        let converters = [literal, code].filter(
+            (converter) => converter !== undefined
+        );
+        if (
+            converters.length !== 1 ||
+            typeof converters[0] !== 'function' ||
+            typeof encoding !== 'string'
+        )
+            throw new Error(
+                `loaders -> ${extension} must be a built-in loader name or an Object with an encoding and either a literal or code Function`
+            );
+
+        resolved[extension] = {
+            name: extension,
+            encoding: encoding,
+            literal: literal,
+            code: code,
+        };
+    });
+
+    return resolved;
+}
+
+/**
+ * Returns the loader of provided path from resolved loaders by its extension.
+ * Files with unknown extensions are loaded as JavaScript.
+ *
+ * @param {String} path
+ * @param {Object} loaders
+ * @returns {Object} Object
+ */
+function file_loader(path, loaders) {
+    let extension = Path.extname(path).toLowerCase();
+    return loaders[extension] || Object.assign({ name: 'js' }, LOADERS.js);
+}
+
+module.exports = {
+    LOADERS: LOADERS,
+    DEFAULT_LOADERS: DEFAULT_LOADERS,
+    resolve_loaders: resolve_loaders,
+    file_loader: file_loader,
+    text_literal: text_literal,
+    json_literal: json_literal,
+    base64_literal: base64_literal,
+};
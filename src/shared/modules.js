@@ -0,0 +1,112 @@
+const Path = require('path');
+const { builtinModules } = require('module');
+const { tokenize, string_value } = require('./tokenizer.js');
+const { normalize_path } = require('./operators.js');
+const REQUIRE_FUNCTION = '__application_require';
+const MODULE_FUNCTION = '__application_module';
+
+/**
+ * Finds require() calls with a single literal argument in provided content with a tokenizer pass.
+ * Calls inside comments, strings, template literals and regular expressions are never matched.
+ *
+ * @param {String} content
+ * @returns {Array} Array -> [{ line, column, end_line, end_column, start, end, request }]
+ */
+function find_require_calls(content) {
+    let tokens = tokenize(content).filter((token) => token.type !== 'comment');
+    let calls = [];
+    for (let i = 0; i < tokens.length; i++) {
+        let token = tokens[i];
+        if (token.type !== 'identifier' || token.value !== 'require') continue;
+
+        // Ensure identifier is a standalone call with a single literal argument
+        let previous = tokens[i - 1] || {};
+        let [opening, argument, closing] = tokens.slice(i + 1, i + 4);
+        if (['.', '?.', 'function'].includes(previous.value)) continue;
+        if (!opening || opening.value !== '(' || !closing) continue;
+        if (closing.value !== ')' || closing.type !== 'punctuator') continue;
+
+        let request = string_value(argument);
+        if (request === undefined || request.length == 0) continue;
+
+        calls.push({
+            line: token.line,
+            column: token.column,
+            end_line: closing.end_line,
+            end_column: closing.end_column,
+            start: token.start,
+            end: closing.end,
+            request: request,
+        });
+        i += 3;
+    }
+
+    return calls;
+}
+
+/**
+ * Returns whether provided request is a Node.js builtin module.
+ *
+ * @param {String} request
+ * @returns {Boolean} Boolean
+ */
+function is_builtin(request) {
+    return request.startsWith('node:') || builtinModules.includes(request);
+}
+
+/**
+ * Returns whether provided request matches one of the external package names.
+ * Externals also match requests of files within their package such as "lodash/fp".
+ *
+ * @param {String} request
+ * @param {Array} externals
+ * @returns {Boolean} Boolean
+ */
+function is_external(request, externals = []) {
+    return externals.some(
+        (name) => request == name || request.startsWith(name + '/')
+    );
+}
+
+/**
+ * Resolves provided require request from a directory with the Node.js resolution algorithm.
+ * Builtin modules and externals are not resolved as they are left untouched in compiled output.
+ *
+ * @param {String} request
+ * @param {String} directory
+ * @param {Array} externals
+ * @returns {String} String -> Normalized module path OR null
+ */
+function resolve_module(request, directory, externals = []) {
+    if (is_builtin(request) || is_external(request, externals)) return null;
+
+    let resolved = require.resolve(request, {
+        paths: [Path.resolve(directory)],
+    });
+
+    // Builtin modules may also be resolved from requests such as "fs/"
+    if (!Path.isAbsolute(resolved)) return null;
+    return normalize_path(
+        Path.relative(process.cwd(), resolved).split('\\').join('/')
+    );
+}
+
+/**
+ * Returns the registry call which replaces a require() call of provided module path in compiled output.
+ *
+ * @param {String} path
+ * @returns {String} String
+ */
+function require_call(path) {
+    return `${REQUIRE_FUNCTION}(${JSON.stringify(path)})`;
+}
+
+module.exports = {
+    REQUIRE_FUNCTION: REQUIRE_FUNCTION,
+    MODULE_FUNCTION: MODULE_FUNCTION,
+    require_call: require_call,
+    find_require_calls: find_require_calls,
+    is_builtin: is_builtin,
+    is_external: is_external,
+    resolve_module: resolve_module,
+};
@@ -77,25 +77,49 @@ function chunks_to_path(chunks, sys_root_prefix = '_sys_root') {
     return chunks.join('/');
 }
 
-function absolute_file_path(path, context = '/') {
-    // represent system root as relative -> './'
-    let chunks = path_to_chunks(path, false, '.');
-    let context_chunks = path_to_chunks(context);
-
-    // Traverse through path relative references such as ../ up to chunks.length - 1
-    for (let i = 0; i < chunks.length - 1; i++) {
+/**
+ * Resolves "." and ".." references and removes empty chunks in provided path chunks.
+ * The leading chunk is always preserved as it represents the relative or system root.
+ *
+ * @param {Array} chunks
+ * @returns {Array} Array
+ */
+function normalize_chunks(chunks) {
+    let normalized = [chunks[0]];
+    for (let i = 1; i < chunks.length; i++) {
         let current = chunks[i];
-        if (current == '..') {
-            if (context_chunks.length > 1) context_chunks.pop();
-        } else if (current !== '.') {
-            context_chunks.push(current);
+        let last = normalized[normalized.length - 1];
+        if (current == '.' || current == '') continue;
+        if (current == '..' && normalized.length > 1 && last !== '..') {
+            normalized.pop();
+        } else if (current !== '..' || normalized[0] !== '_sys_root') {
+            // References above the system root resolve to the system root itself
+            normalized.push(current);
         }
     }
+    return normalized;
+}
+
+/**
+ * Normalizes provided path into a consistent relative or absolute path.
+ * Paths such as "entry.js", "./entry.js" and "./lib/../entry.js" all resolve to "./entry.js".
+ *
+ * @param {String} path
+ * @returns {String} String
+ */
+function normalize_path(path) {
+    return chunks_to_path(normalize_chunks(path_to_chunks(path)));
+}
 
-    // Append path file name at the end of context chunks
-    context_chunks.push(chunks[chunks.length - 1]);
+function absolute_file_path(path, context = '/') {
+    // represent system root as relative -> './'
+    let chunks = path_to_chunks(path, false, '.');
+    let context_chunks = path_to_chunks(context);
 
-    return chunks_to_path(context_chunks);
+    // Append path chunks to context and resolve relative references such as ../ afterwards
+    // This also removes leftover references such as ./. when context is the current directory
+    context_chunks.push(...chunks);
+    return chunks_to_path(normalize_chunks(context_chunks));
 }
 
 /**
@@ -121,12 +145,57 @@ function repeat_character(char, length) {
     return ''.padStart(length, char);
 }
 
+/**
+ * Returns whether provided path contains glob pattern characters.
+ *
+ * @param {String} path
+ * @returns {Boolean} Boolean
+ */
+function is_pattern(path) {
+    return path.indexOf('*') > -1 || path.indexOf('?') > -1;
+}
+
+/**
+ * Converts a glob pattern into a regular expression.
+ * Supports "**" for any number of nested directories, "*" and "?" within a single path chunk.
+ *
+ * @param {String} pattern
+ * @returns {RegExp} RegExp
+ */
+function pattern_to_regex(pattern) {
+    let result = '';
+    for (let i = 0; i < pattern.length; i++) {
+        let char = pattern[i];
+        if (char == '*' && pattern[i + 1] == '*') {
+            i++;
+            if (pattern[i + 1] == '/') {
+                // "**/" matches zero or more nested directories
+                i++;
+                result += '(?:.*/)?';
+            } else {
+                result += '.*';
+            }
+        } else if (char == '*') {
+            result += '[^/]*';
+        } else if (char == '?') {
+            result += '[^/]';
+        } else {
+            result += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp('^' + result + '$');
+}
+
 module.exports = {
     log: log,
     random_string: random_string,
     path_to_chunks: path_to_chunks,
     chunks_to_path: chunks_to_path,
     absolute_file_path: absolute_file_path,
+    normalize_path: normalize_path,
     copy_array: copy_array,
     repeat_character: repeat_character,
+    is_pattern: is_pattern,
+    pattern_to_regex: pattern_to_regex,
 };
@@ -0,0 +1,292 @@
+const IDENTIFIER_START_REGEX = /[A-Za-z_$\u0080-￿]/;
+const IDENTIFIER_PART_REGEX = /[\w$\u0080-￿]/;
+const NUMBER_REGEX =
+    /(?:0[xXoObB][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const MULTI_PUNCTUATORS = ['...', '?.', '=>'];
+const REGEX_KEYWORDS = [
+    'return',
+    'typeof',
+    'instanceof',
+    'in',
+    'of',
+    'new',
+    'delete',
+    'void',
+    'throw',
+    'case',
+    'do',
+    'else',
+    'yield',
+    'await',
+];
+
+/**
+ * Returns whether a regular expression literal may start after provided token.
+ * A slash after values such as identifiers, numbers or closing brackets is a division.
+ *
+ * @param {Object} token Previous significant token
+ * @returns {Boolean} Boolean
+ */
+function allows_regex(token) {
+    if (token == undefined) return true;
+    switch (token.type) {
+        case 'punctuator':
+            return [')', ']', '}'].indexOf(token.value) == -1;
+        case 'identifier':
+            return REGEX_KEYWORDS.includes(token.value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Tokenizes JavaScript content into identifiers, strings, templates, numbers, regular expressions,
+ * comments and punctuators with exact line and column positions.
+ * Lines start from 1 while columns start from 0. The tokenizer never throws on invalid syntax.
+ *
+ * @param {String} content
+ * @returns {Array} Array -> [{ type, value, line, column, end_line, end_column, start, end }]
+ */
+function tokenize(content) {
+    let tokens = [];
+    let index = 0;
+    let line = 1;
+    let line_start = 0;
+    let previous; // Previous significant token used for regex detection
+    let templates = []; // Brace depths of template literal substitutions
+
+    // Advances cursor to provided index while keeping track of line positions
+    let advance = (to) => {
+        for (; index < to; index++) {
+            if (content[index] == '\n') {
+                line++;
+                line_start = index + 1;
+            }
+        }
+    };
+
+    // Pushes a token spanning from provided start position to current cursor position
+    let push = (type, start, start_line, start_column, extra) => {
+        let token = Object.assign(
+            {
+                type: type,
+                value: content.slice(start, index),
+                line: start_line,
+                column: start_column,
+                end_line: line,
+                end_column: index - line_start,
+                start: start,
+                end: index,
+            },
+            extra
+        );
+        tokens.push(token);
+        if (type !== 'comment') previous = token;
+        return token;
+    };
+
+    // Scans template literal characters until its end or the next substitution
+    let scan_template = (start, start_line, start_column, head) => {
+        let cursor = index;
+        while (cursor < content.length) {
+            let char = content[cursor];
+            if (char == '\\') {
+                cursor += 2;
+            } else if (char == '`') {
+                advance(cursor + 1);
+                return push('template', start, start_line, start_column, {
+                    head: head,
+                    tail: true,
+                });
+            } else if (char == '$' && content[cursor + 1] == '{') {
+                advance(cursor + 2);
+                templates.push(0);
+                return push('template', start, start_line, start_column, {
+                    head: head,
+                    tail: false,
+                });
+            } else {
+                cursor++;
+            }
+        }
+
+        // Unterminated template literals end with content
+        advance(content.length);
+        push('template', start, start_line, start_column, {
+            head: head,
+            tail: true,
+        });
+    };
+
+    while (index < content.length) {
+        let char = content[index];
+        let next = content[index + 1];
+        let start = index;
+        let start_line = line;
+        let start_column = index - line_start;
+
+        if (/\s/.test(char)) {
+            advance(index + 1);
+        } else if (
+            (char == '/' && next == '/') ||
+            (char == '#' && next == '!' && index == 0)
+        ) {
+            // Single line comments and hashbangs end before the next newline
+            let end = content.indexOf('\n', index);
+            advance(end == -1 ? content.length : end);
+            push('comment', start, start_line, start_column);
+        } else if (char == '/' && next == '*') {
+            let end = content.indexOf('*/', index + 2);
+            advance(end == -1 ? content.length : end + 2);
+            push('comment', start, start_line, start_column);
+        } else if (char == '"' || char == "'") {
+            let cursor = index + 1;
+            while (cursor < content.length && content[cursor] !== char) {
+                // Unescaped newlines terminate invalid string literals
+                if (content[cursor] == '\n') break;
+                cursor += content[cursor] == '\\' ? 2 : 1;
+            }
+            advance(Math.min(cursor + 1, content.length));
+            push('string', start, start_line, start_column);
+        } else if (char == '`') {
+            advance(index + 1);
+            scan_template(start, start_line, start_column, true);
+        } else if (char == '}' && templates[templates.length - 1] === 0) {
+            // Closing brace of a template substitution resumes the template literal
+            templates.pop();
+            advance(index + 1);
+            scan_template(start, start_line, start_column, false);
+        } else if (char == '/' && allows_regex(previous)) {
+            let cursor = index + 1;
+            let in_class = false;
+            while (cursor < content.length && content[cursor] !== '\n') {
+                let current = content[cursor];
+                if (current == '\\') {
+                    cursor++;
+                } else if (current == '[') {
+                    in_class = true;
+                } else if (current == ']') {
+                    in_class = false;
+                } else if (current == '/' && !in_class) {
+                    break;
+                }
+                cursor++;
+            }
+
+            // Include regular expression flags
+            cursor++;
+            while (
+                cursor < content.length &&
+                IDENTIFIER_PART_REGEX.test(content[cursor])
+            )
+                cursor++;
+            advance(Math.min(cursor, content.length));
+            push('regex', start, start_line, start_column);
+        } else if (IDENTIFIER_START_REGEX.test(char)) {
+            let cursor = index + 1;
+            while (
+                cursor < content.length &&
+                IDENTIFIER_PART_REGEX.test(content[cursor])
+            )
+                cursor++;
+            advance(cursor);
+            push('identifier', start, start_line, start_column);
+        } else if (/\d/.test(char) || (char == '.' && /\d/.test(next))) {
+            NUMBER_REGEX.lastIndex = index;
+            let match = NUMBER_REGEX.exec(content);
+            advance(index + (match ? match[0].length : 1));
+            push('number', start, start_line, start_column);
+        } else {
+            // Track brace depth of template substitutions so nested objects do not end them
+            if (templates.length > 0) {
+                if (char == '{') templates[templates.length - 1]++;
+                if (char == '}') templates[templates.length - 1]--;
+            }
+
+            let punctuator = MULTI_PUNCTUATORS.find((value) =>
+                content.startsWith(value, index)
+            );
+            advance(index + (punctuator ? punctuator.length : 1));
+            push('punctuator', start, start_line, start_column);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Returns the value of a string literal or a template literal without substitutions.
+ * Returns undefined for any other token.
+ *
+ * @param {Object} token
+ * @returns {String} String OR undefined
+ */
+function string_value(token) {
+    if (token == undefined) return;
+    let quoted = token.type == 'string';
+    let template = token.type == 'template' && token.head && token.tail;
+    if (!quoted && !template) return;
+
+    // Strip quotes and resolve simple escape sequences
+    return token.value
+        .slice(1, -1)
+        .replace(/\\(\r\n|[\s\S])/g, (match, escaped) =>
+            escaped == '\n' || escaped == '\r\n' ? '' : escaped
+        );
+}
+
+/**
+ * Removes comments from provided content while preserving line positions.
+ * Multi-line comments are replaced by their newlines while hashbangs and comments
+ * starting with /*! or containing @license are preserved.
+ *
+ * @param {String} content
+ * @returns {String} String
+ */
+function strip_comments(content) {
+    let result = '';
+    let cursor = 0;
+    tokenize(content).forEach((token) => {
+        let value = token.value;
+        let preserved =
+            value.startsWith('#!') ||
+            value.startsWith('/*!') ||
+            value.indexOf('@license') > -1;
+        if (token.type !== 'comment' || preserved) return;
+
+        // Replace single line block comments with a space so surrounding tokens stay separated
+        let newlines = value.match(/\n/g);
+        let replacement = newlines ? newlines.join('') : ' ';
+        if (value.startsWith('//')) replacement = '';
+
+        result += content.slice(cursor, token.start) + replacement;
+        cursor = token.end;
+    });
+
+    return result + content.slice(cursor);
+}
+
+/**
+ * Returns line positions spanned by multi-line string and template literals.
+ * Whitespace on these lines belongs to literal values and must not be altered.
+ *
+ * @param {String} content
+ * @returns {Set} Set
+ */
+function literal_lines(content) {
+    let lines = new Set();
+    tokenize(content).forEach((token) => {
+        let literal = token.type == 'string' || token.type == 'template';
+        if (literal && token.end_line > token.line)
+            for (let line = token.line; line <= token.end_line; line++)
+                lines.add(line);
+    });
+    return lines;
+}
+
+module.exports = {
+    tokenize: tokenize,
+    string_value: string_value,
+    strip_comments: strip_comments,
+    literal_lines: literal_lines,
+};
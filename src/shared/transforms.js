@@ -0,0 +1,202 @@
+// Maximum number of line edits tracked between two versions of content before lines are matched greedily
+const MAX_EDITS = 500;
+
+// Number of following lines searched for an unchanged line when lines are matched greedily
+const MATCH_WINDOW = 64;
+
+/**
+ * Matches lines of two versions of content with the Myers difference algorithm.
+ * Returns the positions of unchanged lines or undefined when the versions differ in more than MAX_EDITS lines.
+ *
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Array} Array -> [[before_index, after_index]] OR undefined
+ */
+function match_lines(before, after) {
+    let n = before.length;
+    let m = after.length;
+    let limit = Math.min(n + m, MAX_EDITS);
+    let offset = limit + 1;
+    let furthest = new Int32Array(2 * limit + 3);
+    let trace = [];
+
+    // Find the furthest reaching path of every diagonal k for an increasing number of edits d
+    let edits = -1;
+    for (let d = 0; d <= limit && edits == -1; d++) {
+        trace.push(furthest.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let down =
+                k == -d ||
+                (k != d && furthest[offset + k - 1] < furthest[offset + k + 1]);
+            let x = down
+                ? furthest[offset + k + 1]
+                : furthest[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && before[x] === after[y]) {
+                x++;
+                y++;
+            }
+            furthest[offset + k] = x;
+            if (x >= n && y >= m) {
+                edits = d;
+                break;
+            }
+        }
+    }
+    if (edits == -1) return;
+
+    // Walk back through the trace and collect diagonal moves as unchanged lines
+    let pairs = [];
+    let x = n;
+    let y = m;
+    for (let d = edits; d >= 0; d--) {
+        let state = trace[d];
+        let k = x - y;
+        let down =
+            k == -d ||
+            (k != d && state[offset + k - 1] < state[offset + k + 1]);
+        let previous_k = down ? k + 1 : k - 1;
+        let previous_x = state[offset + previous_k];
+        let previous_y = previous_x - previous_k;
+        while (x > previous_x && y > previous_y) {
+            x--;
+            y--;
+            pairs.push([x, y]);
+        }
+        x = previous_x;
+        y = previous_y;
+    }
+
+    return pairs.reverse();
+}
+
+/**
+ * Matches lines of two versions of content by searching a limited window of following lines for every line.
+ * This is used for heavily changed content where finding the smallest difference would be too expensive.
+ *
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Array} Array -> [[before_index, after_index]]
+ */
+function match_lines_greedy(before, after) {
+    let pairs = [];
+    let cursor = 0;
+    for (let y = 0; y < after.length; y++) {
+        let end = Math.min(before.length, cursor + MATCH_WINDOW);
+        for (let x = cursor; x < end; x++) {
+            if (before[x] === after[y]) {
+                pairs.push([x, y]);
+                cursor = x + 1;
+                break;
+            }
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Maps every line of transformed content to the line of the content before the transformation.
+ * Changed lines between unchanged lines are mapped to the changed original lines in order.
+ * Lines which were inserted beyond those have no original line and are mapped to null.
+ * Transformations which keep the line count are assumed to keep every line in place.
+ *
+ * @param {String} before
+ * @param {String} after
+ * @returns {Array} Array -> [Number OR null] OR null when every line is kept in place
+ */
+function line_map(before, after) {
+    let before_lines = before.split('\n');
+    let after_lines = after.split('\n');
+    if (before_lines.length == after_lines.length) return null;
+
+    // Lines before and after the changed region are matched directly
+    let n = before_lines.length;
+    let m = after_lines.length;
+    let prefix = 0;
+    while (
+        prefix < n &&
+        prefix < m &&
+        before_lines[prefix] === after_lines[prefix]
+    )
+        prefix++;
+    let suffix = 0;
+    while (
+        suffix < n - prefix &&
+        suffix < m - prefix &&
+        before_lines[n - suffix - 1] === after_lines[m - suffix - 1]
+    )
+        suffix++;
+
+    let lines = new Array(m).fill(null);
+    for (let i = 0; i < prefix; i++) lines[i] = i + 1;
+    for (let i = 0; i < suffix; i++) lines[m - i - 1] = n - i;
+
+    // Unchanged lines within the changed region are matched through their difference
+    let before_region = before_lines.slice(prefix, n - suffix);
+    let after_region = after_lines.slice(prefix, m - suffix);
+    let pairs =
+        match_lines(before_region, after_region) ||
+        match_lines_greedy(before_region, after_region);
+    pairs.forEach(([x, y]) => (lines[prefix + y] = prefix + x + 1));
+
+    // Changed lines within every gap between unchanged lines are rewrites of the original lines in the gap
+    let previous = [-1, -1];
+    pairs
+        .concat([[before_region.length, after_region.length]])
+        .forEach(([x, y]) => {
+            let removed = x - previous[0] - 1;
+            let added = y - previous[1] - 1;
+            for (let i = 0; i < Math.min(removed, added); i++)
+                lines[prefix + previous[1] + 1 + i] =
+                    prefix + previous[0] + 2 + i;
+            previous = [x, y];
+        });
+
+    return lines;
+}
+
+/**
+ * Applies provided transforms to the source of an included file in order.
+ * Line changes of every transform are tracked so lines of the result can be traced back to the original file.
+ * Lines without an original line such as injected headers are attributed to the nearest preceding original line.
+ *
+ * @param {String} source
+ * @param {Array} transforms [(source, { path, hierarchy }) => source]
+ * @param {Object} context { path, hierarchy }
+ * @param {Array} lines Original lines of provided source if it was already transformed
+ * @returns {Object} Object -> { source, lines: [Number] OR null }
+ */
+function apply_transforms(source, transforms, context, lines = null) {
+    transforms.forEach((transform, index) => {
+        let result = transform(source, context);
+        if (typeof result !== 'string')
+            throw new Error(
+                `Transform ${index} must return a String for ${context.path}`
+            );
+
+        // Compose line changes with those of previous transforms
+        let current = line_map(source, result);
+        if (current !== null)
+            lines = current.map((line) =>
+                line === null || lines === null ? line : lines[line - 1]
+            );
+        source = result;
+    });
+
+    // Attribute lines without an original line to the nearest preceding one
+    if (lines !== null)
+        lines.forEach((line, index) => {
+            if (line === null) lines[index] = index > 0 ? lines[index - 1] : 1;
+        });
+
+    return {
+        source: source,
+        lines: lines,
+    };
+}
+
+module.exports = {
+    line_map: line_map,
+    apply_transforms: apply_transforms,
+};
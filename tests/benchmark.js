@@ -0,0 +1,136 @@
+const Path = require('path');
+const OS = require('os');
+const FileSystem = require('fs');
+const Compiler = require('../index.js');
+
+// Each scenario is a chain of "depth" nested files where every chain file also includes "width" leaf files
+// The deepest chain file is edited repeatedly and the incremental compile duration is compared to a full compile
+// Chain files have a fixed size so the first scenarios only grow the total size while the last ones only grow the depth
+const SCENARIOS = [
+    { depth: 8, width: 10, lines: 100 },
+    { depth: 8, width: 10, lines: 400 },
+    { depth: 8, width: 10, lines: 1600 },
+    { depth: 32, width: 10, lines: 100 },
+    { depth: 128, width: 10, lines: 100 },
+];
+const CHAIN_LINES = 50;
+const EDITS = 10;
+
+/**
+ * Generates a scenario tree in provided directory and returns its entry and deepest file paths.
+ *
+ * @param {String} directory
+ * @param {Object} scenario
+ * @returns {Object} Object
+ */
+function generate(directory, { depth, width, lines }) {
+    let code = (name, length = lines) =>
+        Array.from(
+            { length: length },
+            (_, line) => `const ${name}_${line} = ${line} * 2;`
+        ).join('\n');
+
+    for (let level = 0; level < depth; level++) {
+        let includes = [];
+        for (let leaf = 0; leaf < width; leaf++) {
+            let name = `leaf_${level}_${leaf}`;
+            FileSystem.writeFileSync(
+                Path.join(directory, name + '.js'),
+                code(name)
+            );
+            includes.push(`include('./${name}.js');`);
+        }
+        if (level < depth - 1)
+            includes.push(`include('./chain_${level + 1}.js');`);
+        FileSystem.writeFileSync(
+            Path.join(directory, `chain_${level}.js`),
+            includes.join('\n') + '\n' + code(`chain_${level}`, CHAIN_LINES)
+        );
+    }
+
+    return {
+        entry: Path.join(directory, 'chain_0.js'),
+        deepest: Path.join(directory, `chain_${depth - 1}.js`),
+        files: depth * (width + 1),
+        total_lines: depth * (width * lines + CHAIN_LINES),
+    };
+}
+
+/**
+ * Returns the median of provided numbers as single compiles may be slowed down by garbage collection.
+ *
+ * @param {Array} values
+ * @returns {Number} Number
+ */
+function median(values) {
+    let sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Runs provided scenario and resolves with its full and incremental compile durations.
+ *
+ * @param {Object} scenario
+ * @returns {Promise} Promise -> Resolve[Object]
+ */
+async function run(scenario) {
+    let directory = FileSystem.mkdtempSync(
+        Path.join(OS.tmpdir(), 'application-compiler-benchmark-')
+    );
+
+    try {
+        let tree = generate(directory, scenario);
+        let compiler = new Compiler({
+            file_path: tree.entry,
+            watcher_delay: 0,
+        });
+        await compiler.ready();
+
+        // A full compile stringifies every file as nothing has been cached yet
+        let start = process.hrtime();
+        compiler.compile();
+        let [seconds, nanoseconds] = process.hrtime(start);
+        let full = seconds * 1000 + nanoseconds / 1e6;
+
+        // Incremental compiles after editing the deepest file only stringify the edited file and its ancestors
+        let durations = [];
+        let original = FileSystem.readFileSync(tree.deepest, 'utf8');
+        for (let edit = 0; edit < EDITS; edit++) {
+            let compiled = compiler.next_compile();
+            FileSystem.writeFileSync(
+                tree.deepest,
+                original + `\nconst edit = ${edit};`
+            );
+            durations.push((await compiled).duration);
+        }
+
+        compiler.destroy();
+        return {
+            depth: scenario.depth,
+            files: tree.files,
+            lines: tree.total_lines,
+            full: full,
+            incremental: median(durations),
+        };
+    } finally {
+        FileSystem.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+(async () => {
+    // Warm up with the first scenario so its results are not skewed by the optimizing compiler
+    await run(SCENARIOS[0]);
+    console.log('depth\tfiles\tlines\tfull (ms)\tincremental (ms)');
+    for (let scenario of SCENARIOS) {
+        let result = await run(scenario);
+        console.log(
+            [
+                result.depth,
+                result.files,
+                result.lines,
+                result.full.toFixed(3),
+                result.incremental.toFixed(3),
+            ].join('\t')
+        );
+    }
+})();
@@ -0,0 +1,88 @@
+const Assert = require('assert');
+const { substitute_defines } = require('../src/shared/directives.js');
+
+// Each case is substituted with the same defines and must compile to the expected code
+// Bindings and object literal keys are left untouched as substituting them would produce invalid code
+const DEFINES = {
+    NODE_ENV: 'production',
+    __VERSION__: '2.0',
+    DEBUG: true,
+    'process.env.API_URL': 'https://api.example.com',
+};
+const CASES = [
+    {
+        name: 'destructuring declarations',
+        input: 'const { NODE_ENV } = process.env;',
+        output: 'const { NODE_ENV } = process.env;',
+    },
+    {
+        name: 'destructuring defaults',
+        input: 'const { a: NODE_ENV, b = DEBUG } = config;',
+        output: 'const { a: NODE_ENV, b = true } = config;',
+    },
+    {
+        name: 'array destructuring',
+        input: 'const [NODE_ENV, b = DEBUG] = list;',
+        output: 'const [NODE_ENV, b = true] = list;',
+    },
+    {
+        name: 'declaration lists',
+        input: 'let a = DEBUG, NODE_ENV = 2;\nlog(__VERSION__);',
+        output: 'let a = true, NODE_ENV = 2;\nlog("2.0");',
+    },
+    {
+        name: 'declarations without semicolons',
+        input: 'const a = DEBUG\nlog(NODE_ENV)',
+        output: 'const a = true\nlog("production")',
+    },
+    {
+        name: 'loop declarations',
+        input: 'for (const NODE_ENV of list) log(DEBUG);',
+        output: 'for (const NODE_ENV of list) log(true);',
+    },
+    {
+        name: 'shorthand properties',
+        input: 'const config = { __VERSION__, DEBUG };',
+        output: 'const config = { __VERSION__, DEBUG };',
+    },
+    {
+        name: 'object literal keys',
+        input: 'const config = { NODE_ENV: 1, mode: NODE_ENV };',
+        output: 'const config = { NODE_ENV: 1, mode: "production" };',
+    },
+    {
+        name: 'function parameters',
+        input: 'function run(DEBUG, mode = NODE_ENV) {}',
+        output: 'function run(DEBUG, mode = "production") {}',
+    },
+    {
+        name: 'arrow function parameters',
+        input: 'const a = (DEBUG) => 1;\nconst b = NODE_ENV => 2;',
+        output: 'const a = (DEBUG) => 1;\nconst b = NODE_ENV => 2;',
+    },
+    {
+        name: 'method names and parameters',
+        input: 'class App { DEBUG(NODE_ENV) { return __VERSION__; } }',
+        output: 'class App { DEBUG(NODE_ENV) { return "2.0"; } }',
+    },
+    {
+        name: 'catch parameters',
+        input: 'try {} catch (DEBUG) {}',
+        output: 'try {} catch (DEBUG) {}',
+    },
+    {
+        name: 'free references',
+        input: 'if (DEBUG) log(`v${__VERSION__}`, process.env.API_URL);',
+        output: 'if (true) log(`v${"2.0"}`, "https://api.example.com");',
+    },
+    {
+        name: 'literals and property accesses',
+        input: 'log("DEBUG", /NODE_ENV/, app.DEBUG); // DEBUG',
+        output: 'log("DEBUG", /NODE_ENV/, app.DEBUG); // DEBUG',
+    },
+];
+
+CASES.forEach(({ name, input, output }) => {
+    Assert.strictEqual(substitute_defines(input, DEFINES), output, name);
+    console.log(`PASSED -> ${name}`);
+});
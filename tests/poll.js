@@ -0,0 +1,77 @@
+const Path = require('path');
+const OS = require('os');
+const Assert = require('assert');
+const FileSystem = require('fs');
+const Compiler = require('../index.js');
+
+// Files added to or removed from directories of pattern includes must be picked up in poll mode
+// Polled directories have no FileSystem watcher so their listing changes are detected through signatures
+const TIMEOUT = 5000;
+
+/**
+ * Resolves with the next compile result of provided compiler or rejects once the timeout has passed.
+ *
+ * @param {Compiler} compiler
+ * @param {String} name
+ * @returns {Promise} Promise -> Resolve[Object]
+ */
+function next_compile(compiler, name) {
+    return Promise.race([
+        compiler.next_compile(),
+        new Promise((resolve, reject) =>
+            setTimeout(
+                () => reject(new Error(`${name} was not compiled in time`)),
+                TIMEOUT
+            ).unref()
+        ),
+    ]);
+}
+
+(async () => {
+    let directory = FileSystem.mkdtempSync(
+        Path.join(OS.tmpdir(), 'application-compiler-poll-')
+    );
+    let compiler;
+
+    try {
+        let library = Path.join(directory, 'library');
+        FileSystem.mkdirSync(library);
+        FileSystem.writeFileSync(Path.join(library, 'a.js'), 'const a = 1;');
+        FileSystem.writeFileSync(
+            Path.join(directory, 'entry.js'),
+            "include('./library/');"
+        );
+
+        compiler = new Compiler({
+            file_path: Path.join(directory, 'entry.js'),
+            watcher_delay: 0,
+            settle_delay: 0,
+            watch_mode: 'poll',
+            poll_interval: 50,
+        });
+        await compiler.ready();
+        Assert.ok(compiler.compile().includes('const a = 1;'));
+
+        // Added files are included once the directory listing changes
+        let added = next_compile(compiler, 'Added file');
+        FileSystem.writeFileSync(Path.join(library, 'b.js'), 'const b = 2;');
+        let result = await added;
+        Assert.ok(result.compiled.includes('const b = 2;'));
+        console.log('PASSED -> added file');
+
+        // Removed files drop out of the group without being reported as invalid files
+        let removed = next_compile(compiler, 'Removed file');
+        FileSystem.unlinkSync(Path.join(library, 'b.js'));
+        result = await removed;
+        Assert.ok(!result.compiled.includes('const b = 2;'));
+        Assert.ok(!result.compiled.includes('INVALID_FILE'));
+        Assert.strictEqual(result.errors.length, 0);
+        console.log('PASSED -> removed file');
+    } finally {
+        if (compiler) compiler.destroy();
+        FileSystem.rmSync(directory, { recursive: true, force: true });
+    }
+})().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});